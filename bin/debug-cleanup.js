@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+const { CleanupCli } = require('../cli');
+
+process.exitCode = new CleanupCli().run(process.argv.slice(2));
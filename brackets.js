@@ -0,0 +1,63 @@
+const CLOSING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+const OPENING_BRACKETS = ['(', '[', '{'];
+
+// Checks scanner tokens for brackets that are unmatched or closed by the wrong kind
+function findUnbalancedBracket(tokens) {
+    const open = [];
+
+    for (const token of tokens) {
+        if (token.type !== 'op') {
+            continue;
+        }
+        if (OPENING_BRACKETS.includes(token.value)) {
+            open.push(token);
+        } else if (CLOSING_BRACKETS[token.value]) {
+            const opener = open.pop();
+            if (!opener || opener.value !== CLOSING_BRACKETS[token.value]) {
+                return { message: `Unexpected '${token.value}'`, start: token.start };
+            }
+        }
+    }
+
+    if (open.length > 0) {
+        const opener = open[open.length - 1];
+        return { message: `Unclosed '${opener.value}'`, start: opener.start };
+    }
+
+    return null;
+}
+
+// Splits the tokens between a call's parentheses into one range per argument
+function findArgumentRanges(tokens, openIndex, closeIndex) {
+    const ranges = [];
+    let depth = 0;
+    let first = null;
+    let last = null;
+
+    for (let i = openIndex + 1; i < closeIndex; i++) {
+        const token = tokens[i];
+        if (token.type === 'op' && depth === 0 && token.value === ',') {
+            if (first) {
+                ranges.push({ start: first.start, end: last.end });
+            }
+            first = null;
+            continue;
+        }
+        if (token.type === 'op' && OPENING_BRACKETS.includes(token.value)) {
+            depth++;
+        } else if (token.type === 'op' && CLOSING_BRACKETS[token.value]) {
+            depth--;
+        }
+        first = first ?? token;
+        last = token;
+    }
+
+    // A trailing comma, as in `print(a,)`, does not start another argument
+    if (first) {
+        ranges.push({ start: first.start, end: last.end });
+    }
+
+    return ranges;
+}
+
+module.exports = { findUnbalancedBracket, findArgumentRanges };
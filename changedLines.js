@@ -0,0 +1,83 @@
+const minimatch = require('minimatch');
+const { getFilePattern } = require('./filePatterns');
+
+const CHANGE_SOURCES = {
+    head: 'head',
+    branch: 'branch',
+    workingTree: 'workingTree'
+};
+
+function statementIntersectsLines(statement, lines) {
+    const lastLine = statement.line + (statement.text.match(/\n/g) || []).length;
+    for (let line = statement.line; line <= lastLine; line++) {
+        if (lines.has(line)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+class ChangedLinesFilter {
+    constructor(config) {
+        this.config = config;
+    }
+
+    isIncluded(filePath) {
+        const options = { dot: true };
+        if (!minimatch(filePath, getFilePattern(this.config.includeFileTypes), options)) {
+            return false;
+        }
+        return !(this.config.excludePatterns || []).some(pattern => minimatch(filePath, pattern, options));
+    }
+
+    filterFiles(changedLines) {
+        const included = new Map();
+        changedLines.forEach((lines, filePath) => {
+            if (lines.size > 0 && this.isIncluded(filePath)) {
+                included.set(filePath, lines);
+            }
+        });
+        return included;
+    }
+
+    selectStatements(statements, lines) {
+        return statements.filter(statement => statementIntersectsLines(statement, lines));
+    }
+
+    collect(repository, source, ref = null) {
+        let diffArgs;
+        switch (source) {
+            case CHANGE_SOURCES.head:
+                diffArgs = ['HEAD'];
+                break;
+            case CHANGE_SOURCES.branch:
+                diffArgs = [repository.getMergeBase(ref)];
+                break;
+            case CHANGE_SOURCES.workingTree:
+                diffArgs = [];
+                break;
+            default:
+                throw new Error(`Unknown change source: ${source}`);
+        }
+
+        const changedLines = repository.getChangedLines(diffArgs);
+
+        // Untracked files never show up in a diff, but every line in them is new
+        repository.getUntrackedFiles().forEach(filePath => {
+            const content = repository.getWorkingContent(filePath);
+            if (content === null) {
+                return;
+            }
+            const lineCount = content.split('\n').length;
+            changedLines.set(filePath, new Set(Array.from({ length: lineCount }, (_, i) => i + 1)));
+        });
+
+        return this.filterFiles(changedLines);
+    }
+}
+
+module.exports = {
+    CHANGE_SOURCES,
+    ChangedLinesFilter,
+    statementIntersectsLines
+};
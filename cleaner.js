@@ -1,42 +1,110 @@
+const { CustomPatternMatcher } = require('./customPatterns');
+const { GROUP_OPENERS, resolveConsoleMethods } = require('./consoleMethods');
+const { LoggerConverter, getLanguageFamily } = require('./loggerConversion');
+
+const COMMENT_MODES = ['keep', 'removeInner', 'removeAttached'];
+
+const CLEANUP_ACTIONS = {
+    remove: { verb: 'Remove', past: 'Removed' },
+    comment: { verb: 'Comment out', past: 'Commented out' },
+    guard: { verb: 'Guard', past: 'Guarded' }
+};
+
+// Commented-out statements start with the marker; the other lines of a multi-line statement continue it
+const COMMENT_MARKER = 'debug-cleanup:';
+const CONTINUATION_MARKER = 'debug-cleanup...';
+
+const DEFAULT_GUARD_CONDITIONS = {
+    javascript: 'process.env.DEBUG',
+    python: '__debug__',
+    java: 'Boolean.getBoolean("debug")'
+};
+
+// Positions where the call is part of an expression, not a statement of its own
+const EXPRESSION_CONTEXTS = ['conditional', 'arrow-body', 'return', 'callback'];
+
+function resolveCommentMode(value) {
+    // The setting used to be a boolean; `false` meant comments could go with the statement
+    if (value === false) {
+        return 'removeAttached';
+    }
+    return COMMENT_MODES.includes(value) ? value : 'keep';
+}
+
 class CodeCleaner {
     constructor(config = {}) {
         this.removedStatements = [];
         this.config = {
-            removeConsoleLog: config.removeConsoleLog ?? true,
-            removeConsoleWarn: config.removeConsoleWarn ?? true,
-            removeConsoleError: config.removeConsoleError ?? false,
-            removeConsoleInfo: config.removeConsoleInfo ?? true,
-            removeConsoleDebug: config.removeConsoleDebug ?? true,
-            removeConsoleTrace: config.removeConsoleTrace ?? true,
+            consoleMethods: resolveConsoleMethods(config),
             removeDebugger: config.removeDebugger ?? true,
             removePrint: config.removePrint ?? true,
             removeSystemOut: config.removeSystemOut ?? true,
+            removeSystemErr: config.removeSystemErr ?? false,
+            removePrintStackTrace: config.removePrintStackTrace ?? true,
+            removeLogger: config.removeLogger ?? true,
             maxEmptyLines: config.maxEmptyLines ?? 2,
             cleanWhitespace: config.cleanWhitespace ?? true,
-            preserveComments: config.preserveComments ?? true,
+            preserveComments: resolveCommentMode(config.preserveComments),
             showPreview: config.showPreview ?? false,
             autoSave: config.autoSave ?? false,
             excludePatterns: config.excludePatterns ?? [],
-            includeFileTypes: config.includeFileTypes ?? []
+            includeFileTypes: config.includeFileTypes ?? [],
+            customPatterns: config.customPatterns ?? [],
+            sideEffectHandling: config.sideEffectHandling ?? 'skip',
+            removeUnusedBindings: config.removeUnusedBindings ?? false,
+            loggerTargets: config.loggerTargets ?? {},
+            loggerLevelMap: config.loggerLevelMap ?? {},
+            cleanupAction: CLEANUP_ACTIONS[config.cleanupAction] ? config.cleanupAction : 'remove',
+            guardConditions: config.guardConditions ?? {}
         };
+        this.customTypeToggles = CustomPatternMatcher.getTypeToggles(this.config.customPatterns);
     }
 
-    removeDebugStatements(code, statements) {
+    removeDebugStatements(code, statements, declarations = []) {
         if (!statements || statements.length === 0) {
-            return { cleanCode: code, removedCount: 0, removedStatements: [] };
+            return { cleanCode: code, removedCount: 0, removedStatements: [], skippedStatements: [], unusedBindings: [] };
         }
 
-        this.removedStatements = [];
-
         // Filter statements based on configuration
         const filteredStatements = this.filterStatementsByConfig(statements);
 
-        if (filteredStatements.length === 0) {
-            return { cleanCode: code, removedCount: 0, removedStatements: [] };
+        return this.removeSelectedStatements(code, filteredStatements, declarations);
+    }
+
+    removeSelectedStatements(code, statements, declarations = []) {
+        // Removes exactly the given statements, bypassing the per-type configuration toggles
+        this.removedStatements = [];
+
+        if (!statements || statements.length === 0) {
+            return { cleanCode: code, removedCount: 0, removedStatements: [], skippedStatements: [], unusedBindings: [] };
         }
 
+        if (this.config.cleanupAction !== 'remove') {
+            return this.disableSelectedStatements(code, statements);
+        }
+
+        const resolvedStatements = statements.map(statement =>
+            this.applyCommentHandling(this.applySideEffectHandling(statement))
+        );
+
+        // Calls whose value is still needed are reported instead of being cut out
+        const skippedStatements = resolvedStatements.filter(statement => statement.skipReason);
+
+        // `console.log(() => console.log(y))` is removed once, from the outer call, so no offsets go stale
+        const removableStatements = resolvedStatements
+            .filter(statement => !statement.skipReason)
+            .filter((statement, index, removable) => !removable.some((other, otherIndex) =>
+                otherIndex !== index &&
+                other.start <= statement.start &&
+                other.end >= statement.end &&
+                (other.start !== statement.start || other.end !== statement.end || otherIndex < index)
+            ));
+        const unusedBindings = this.config.removeUnusedBindings
+            ? this.findUnusedBindings(removableStatements, declarations)
+            : [];
+
         // Sort statements by position (descending) to avoid index shifting issues
-        const sortedStatements = filteredStatements.sort((a, b) => b.start - a.start);
+        const sortedStatements = [...removableStatements, ...unusedBindings].sort((a, b) => b.start - a.start);
 
         let cleanCode = code;
         let removedCount = 0;
@@ -45,7 +113,7 @@ class CodeCleaner {
             const removalResult = this.removeStatement(cleanCode, statement);
             cleanCode = removalResult.code;
 
-            if (removalResult.removed) {
+            if (removalResult.removed && !unusedBindings.includes(statement)) {
                 removedCount++;
                 this.removedStatements.push({
                     ...statement,
@@ -62,19 +130,382 @@ class CodeCleaner {
         return {
             cleanCode,
             removedCount,
-            removedStatements: this.removedStatements.reverse()
+            removedStatements: this.removedStatements.reverse(),
+            skippedStatements,
+            unusedBindings: unusedBindings.sort((a, b) => a.start - b.start)
+        };
+    }
+
+    describeAction() {
+        return CLEANUP_ACTIONS[this.config.cleanupAction];
+    }
+
+    disableSelectedStatements(code, statements) {
+        // Comments out or guards the statements so they stay in the file, ready to be restored
+        const edits = [];
+        const skippedStatements = [];
+
+        statements.forEach(statement => {
+            const edit = this.config.cleanupAction === 'comment'
+                ? this.commentOutStatement(code, statement)
+                : this.guardStatement(code, statement);
+
+            if (edit.skipReason) {
+                skippedStatements.push({ ...statement, skipReason: edit.skipReason });
+            } else {
+                edits.push({ ...edit, statement });
+            }
+        });
+
+        let cleanCode = code;
+        [...edits].sort((a, b) => b.start - a.start).forEach(edit => {
+            cleanCode = cleanCode.substring(0, edit.start) + edit.replacement + cleanCode.substring(edit.end);
+        });
+
+        this.removedStatements = edits.map(({ statement }) => ({ ...statement, originalPosition: statement.start }));
+
+        return {
+            cleanCode,
+            removedCount: edits.length,
+            removedStatements: this.removedStatements,
+            skippedStatements,
+            unusedBindings: []
         };
     }
 
+    getDisableSkipReason(statement) {
+        if (statement.skipReason) {
+            return statement.skipReason;
+        }
+        if (EXPRESSION_CONTEXTS.includes(statement.context)) {
+            return `Only whole statements can be ${this.describeAction().past.toLowerCase()}`;
+        }
+        // A disabled statement no longer runs, so its side effects are lost just as with removal
+        if (statement.sideEffects && this.config.sideEffectHandling !== 'remove') {
+            return `Arguments have side effects: ${statement.sideEffects.map(effect => effect.text).join(', ')}`;
+        }
+        return null;
+    }
+
+    isGuarded(code, statement) {
+        const language = getLanguageFamily(statement.language);
+        const condition = { ...DEFAULT_GUARD_CONDITIONS, ...this.config.guardConditions }[language];
+        const guard = language === 'python' ? `if ${condition}:` : `if (${condition}) {`;
+
+        return code.substring(0, statement.start).trimEnd().endsWith(guard);
+    }
+
+    getStatementLines(code, statement) {
+        const lineStart = code.lastIndexOf('\n', statement.start - 1) + 1;
+        const newline = code.indexOf('\n', statement.end);
+        const lineEnd = newline === -1 ? code.length : newline;
+        const before = code.substring(lineStart, statement.start);
+        const after = code.substring(statement.end, lineEnd).trim();
+        const lineComment = getLanguageFamily(statement.language) === 'python' ? '#' : '//';
+
+        return {
+            lineStart,
+            lineEnd,
+            before,
+            // A trailing comment on the last line does not stop the statement from owning its lines
+            isOnOwnLines: before.trim() === '' && (after === '' || after.startsWith(lineComment)),
+            isAtLineEnd: after === '' || after.startsWith(lineComment),
+            lineComment
+        };
+    }
+
+    commentOutStatement(code, statement) {
+        const skipReason = this.getDisableSkipReason(statement);
+        if (skipReason) {
+            return { skipReason };
+        }
+
+        const lines = this.getStatementLines(code, statement);
+        const isPython = getLanguageFamily(statement.language) === 'python';
+
+        if (statement.replacement === undefined && lines.isOnOwnLines) {
+            const indent = lines.before.length;
+            const commented = code.substring(lines.lineStart, lines.lineEnd).split('\n').map((line, index) => {
+                const column = Math.min(indent, line.match(/^[ \t]*/)[0].length);
+                const marker = index === 0 ? COMMENT_MARKER : CONTINUATION_MARKER;
+                const rest = line.substring(column);
+                return `${line.substring(0, column)}${lines.lineComment} ${marker}${rest === '' || rest === '\r' ? rest : ` ${rest}`}`;
+            });
+            return { start: lines.lineStart, end: lines.lineEnd, replacement: commented.join('\n') };
+        }
+
+        // `if ready: print(x)` needs a body, so `pass` takes the statement's place in front of the comment
+        if (isPython) {
+            if (statement.replacement === 'pass' && lines.isAtLineEnd && !statement.text.includes('\n')) {
+                return { start: statement.start, end: statement.end, replacement: `pass  # ${COMMENT_MARKER} ${statement.text}` };
+            }
+            return { skipReason: 'Python statements sharing a line with other code cannot be commented out' };
+        }
+
+        if (statement.text.includes('*/')) {
+            return { skipReason: 'The statement contains a block comment end' };
+        }
+        if (statement.replacement === undefined) {
+            return { start: statement.start, end: statement.end, replacement: `/* ${COMMENT_MARKER} ${statement.text} */` };
+        }
+        if (statement.replacement === '{}') {
+            return { start: statement.start, end: statement.end, replacement: `{ /* ${COMMENT_MARKER} ${statement.text} */ }` };
+        }
+        return { skipReason: `Only whole statements can be commented out` };
+    }
+
+    guardStatement(code, statement) {
+        const skipReason = this.getDisableSkipReason(statement);
+        if (skipReason) {
+            return { skipReason };
+        }
+
+        if (this.isGuarded(code, statement)) {
+            return { skipReason: 'Already guarded' };
+        }
+
+        const language = getLanguageFamily(statement.language);
+        const condition = { ...DEFAULT_GUARD_CONDITIONS, ...this.config.guardConditions }[language];
+        const guard = language === 'python' ? `if ${condition}:` : `if (${condition}) {`;
+
+        if (language === 'python') {
+            // A compound statement cannot follow `:` or `;` on the same line
+            if (!this.getStatementLines(code, statement).isOnOwnLines) {
+                return { skipReason: 'Python statements sharing a line with other code cannot be guarded' };
+            }
+            return { start: statement.start, end: statement.end, replacement: `${guard} ${statement.text}` };
+        }
+
+        if (statement.replacement === undefined) {
+            return { start: statement.start, end: statement.end, replacement: `${guard} ${statement.text} }` };
+        }
+        // Braces keep a following `else` attached to the original `if`
+        if (statement.replacement === '{}') {
+            return { start: statement.start, end: statement.end, replacement: `{ ${guard} ${statement.text} } }` };
+        }
+        return { skipReason: 'Only whole statements can be guarded' };
+    }
+
+    restoreCommentedStatements(code) {
+        // Undoes the comment action by recognizing its markers; other comments are left alone
+        let restoredCount = 0;
+        const restore = text => {
+            restoredCount++;
+            return text;
+        };
+
+        const cleanCode = code
+            .replace(/\{ \/\* debug-cleanup: ([\s\S]*?) \*\/ \}|\/\* debug-cleanup: ([\s\S]*?) \*\//g, (match, body, inline) => restore(body ?? inline))
+            .replace(/\bpass  # debug-cleanup: (.*)/g, (match, text) => restore(text))
+            .replace(/^([ \t]*)(?:\/\/|#) debug-cleanup(:|\.\.\.) ?/gm, (match, indent, marker) =>
+                marker === ':' ? restore(indent) : indent
+            );
+
+        return { cleanCode, restoredCount };
+    }
+
+    convertToLogger(code, statements, language) {
+        if (!statements || statements.length === 0) {
+            return this.convertSelectedStatements(code, [], language);
+        }
+
+        return this.convertSelectedStatements(code, this.filterStatementsByConfig(statements), language);
+    }
+
+    convertSelectedStatements(code, statements, language) {
+        // Rewrites each call to the configured logger; `debugger` and breakpoints log nothing, so they are removed
+        this.removedStatements = [];
+        const converter = new LoggerConverter(this.config, language);
+        const conversions = [];
+        const skippedStatements = [];
+        const removable = [];
+
+        statements.forEach(statement => {
+            if (statement.type === 'debugger') {
+                removable.push(this.applyCommentHandling(statement));
+                return;
+            }
+
+            const conversion = converter.convert(code, statement);
+            if (conversion.skipReason) {
+                skippedStatements.push({ ...statement, skipReason: conversion.skipReason });
+            } else {
+                conversions.push({ statement, ...conversion });
+            }
+        });
+
+        // `console.log(console.log(x))` is converted once, from the outer call
+        const outer = conversions.filter(conversion => !conversions.some(other =>
+            other !== conversion &&
+            other.statement.call.start <= conversion.statement.call.start &&
+            other.statement.call.end >= conversion.statement.call.end
+        ));
+        conversions.filter(conversion => !outer.includes(conversion)).forEach(({ statement }) => {
+            skippedStatements.push({ ...statement, skipReason: 'Nested inside another converted call' });
+        });
+
+        // A removal's reason to skip, e.g. a used return value, does not apply to a call that stays a call
+        const convertedStatements = outer.map(({ statement, level }) => {
+            const { skipReason, ...converted } = statement;
+            return { ...converted, level };
+        });
+        const edits = [
+            ...outer.map(({ start, end, replacement }) => ({ start, end, replacement })),
+            ...removable
+        ].sort((a, b) => b.start - a.start);
+
+        let cleanCode = code;
+
+        edits.forEach(edit => {
+            cleanCode = this.removeStatement(cleanCode, edit).code;
+            if (removable.includes(edit)) {
+                this.removedStatements.unshift({ ...edit, originalPosition: edit.start });
+            }
+        });
+
+        if (this.removedStatements.length > 0 && this.config.cleanWhitespace) {
+            cleanCode = this.cleanWhitespace(cleanCode);
+        }
+
+        const importResult = convertedStatements.length > 0 ? converter.addImport(cleanCode) : { code: cleanCode, added: false };
+
+        return {
+            cleanCode: importResult.code,
+            convertedCount: convertedStatements.length,
+            convertedStatements,
+            removedCount: this.removedStatements.length,
+            removedStatements: this.removedStatements,
+            skippedStatements: skippedStatements.sort((a, b) => a.start - b.start),
+            importAdded: importResult.added
+        };
+    }
+
+    findUnusedBindings(statements, declarations) {
+        // Side effects kept by extraction still read their variables, so those references survive
+        const removedRanges = statements.map(statement => ({
+            start: statement.start,
+            end: statement.end,
+            kept: statement.sideEffectHandling === 'extract' ? statement.sideEffects : []
+        }));
+        const contains = (range, reference) => reference.start >= range.start && reference.end <= range.end;
+        const dropped = new Set();
+        const isGone = reference =>
+            removedRanges.some(range => contains(range, reference) && !range.kept.some(kept => contains(kept, reference))) ||
+            [...dropped].some(part => contains(part, reference));
+
+        // Declarations that contain a removed statement are left alone so the edits cannot overlap
+        const candidates = declarations.filter(declaration =>
+            !statements.some(statement => statement.start < declaration.end && statement.end > declaration.start)
+        );
+
+        // Dropping `const inspect = util.inspect` can leave `util` unused in turn, so repeat until stable
+        let changed = true;
+        while (changed) {
+            changed = false;
+            candidates.forEach(declaration => declaration.parts.forEach(part => {
+                if (part.removable && !dropped.has(part) && part.references.length > 0 && part.references.every(isGone)) {
+                    dropped.add(part);
+                    changed = true;
+                }
+            }));
+        }
+
+        return candidates
+            .filter(declaration => declaration.parts.some(part => dropped.has(part)))
+            .map(declaration => {
+                const { parts, semicolon, source, declarationKind, ...statement } = declaration;
+                const kept = parts.filter(part => !dropped.has(part));
+                const binding = { ...statement, type: 'unused', names: parts.filter(part => dropped.has(part)).flatMap(part => part.names) };
+
+                return kept.length === 0 ? binding : { ...binding, replacement: this.rebuildDeclaration(declaration, kept) };
+            });
+    }
+
+    rebuildDeclaration(declaration, kept) {
+        const semicolon = declaration.semicolon ? ';' : '';
+
+        if (declaration.kind === 'import') {
+            const defaults = kept.filter(part => part.group === 'default').map(part => part.text);
+            const named = kept.filter(part => part.group === 'named').map(part => part.text);
+            const clause = [...defaults, ...(named.length > 0 ? [`{ ${named.join(', ')} }`] : [])].join(', ');
+            return `import ${clause} from ${declaration.source}${semicolon}`;
+        }
+
+        return `${declaration.declarationKind} ${kept.map(part => part.text).join(', ')}${semicolon}`;
+    }
+
+    applySideEffectHandling(statement) {
+        if (!statement.sideEffects || statement.skipReason) {
+            return statement;
+        }
+
+        if (this.config.sideEffectHandling === 'remove') {
+            return { ...statement, sideEffectHandling: 'remove' };
+        }
+
+        if (this.config.sideEffectHandling === 'extract') {
+            // `console.log(counter++)` becomes `counter++;` so only the logging goes away
+            const extracted = statement.sideEffects.map(effect => `${effect.text};`).join(' ');
+            if (statement.context === 'statement') {
+                return { ...statement, sideEffectHandling: 'extract', replacement: extracted };
+            }
+            if (statement.context === 'body' || statement.context === 'arrow-body') {
+                return { ...statement, sideEffectHandling: 'extract', replacement: `{ ${extracted} }` };
+            }
+        }
+
+        const effects = statement.sideEffects.map(effect => effect.text).join(', ');
+        return { ...statement, sideEffectHandling: 'skip', skipReason: `Arguments have side effects: ${effects}` };
+    }
+
+    applyCommentHandling(statement) {
+        if (!statement.comments || statement.skipReason) {
+            return statement;
+        }
+
+        const { leading, trailing, inner } = statement.comments;
+
+        if (this.config.preserveComments === 'removeAttached') {
+            // Explanation comments above the statement and at the end of its line go with it
+            return {
+                ...statement,
+                start: leading.length > 0 ? leading[0].start : statement.start,
+                end: trailing.length > 0 ? trailing[trailing.length - 1].end : statement.end
+            };
+        }
+
+        if (this.config.preserveComments === 'keep' && inner.length > 0) {
+            // Comments inside the arguments stay where the statement was, as block comments so code can follow
+            const kept = inner.map(comment => comment.block ? comment.text : `/*${comment.value} */`);
+            return {
+                ...statement,
+                replacement: [...kept, statement.replacement].filter(part => part !== undefined).join(' ')
+            };
+        }
+
+        return statement;
+    }
+
     removeStatement(code, statement) {
         const before = code.substring(0, statement.start);
         const after = code.substring(statement.end);
 
+        if (statement.replacement !== undefined) {
+            // Removing the statement would leave an empty block, so substitute it in place
+            return {
+                code: before + statement.replacement + after,
+                removed: true
+            };
+        }
+
         // Analyze the context around the statement
         const context = this.analyzeStatementContext(code, statement);
 
         let adjustedBefore = before;
         let adjustedAfter = after;
+        // A statement that brings its own `;` leaves the one before it to the previous statement
+        const ownSemicolon = code.substring(statement.start, statement.end).trimEnd().endsWith(';');
+        const cleanBefore = text => ownSemicolon ? text.replace(/[ \t]+$/, '') : this.cleanLeadingCommaOrSemicolon(text);
 
         if (context.isOnOwnLine) {
             // Statement is on its own line - remove the entire line including newline
@@ -82,14 +513,14 @@ class CodeCleaner {
             adjustedBefore = result.before;
             adjustedAfter = result.after;
         } else if (context.isAtLineStart) {
-            // Statement starts the line but has other content after
-            adjustedAfter = this.cleanTrailingCommaOrSemicolon(after);
+            // Statement starts the line but has other content after, which takes over its indentation
+            adjustedAfter = this.cleanTrailingCommaOrSemicolon(after).replace(/^[ \t]+/, '');
         } else if (context.isAtLineEnd) {
             // Statement ends the line but has other content before
-            adjustedBefore = this.cleanLeadingCommaOrSemicolon(before);
+            adjustedBefore = cleanBefore(before);
         } else {
             // Statement is in the middle of a line
-            adjustedBefore = this.cleanLeadingCommaOrSemicolon(before);
+            adjustedBefore = cleanBefore(before);
             adjustedAfter = this.cleanTrailingCommaOrSemicolon(after);
         }
 
@@ -173,28 +604,67 @@ class CodeCleaner {
     }
 
     filterStatementsByConfig(statements) {
+        // A groupEnd follows the toggle of the group call it closes, so pairs stay balanced
+        const pairDecisions = new Map();
+        statements.forEach(statement => {
+            if (statement.groupPair !== undefined && GROUP_OPENERS.includes(statement.method)) {
+                pairDecisions.set(statement.groupPair, this.isStatementEnabled(statement));
+            }
+        });
+
         return statements.filter(statement => {
-            switch (statement.type) {
-                case 'console':
-                    if (statement.text.includes('console.log') && !this.config.removeConsoleLog) return false;
-                    if (statement.text.includes('console.warn') && !this.config.removeConsoleWarn) return false;
-                    if (statement.text.includes('console.error') && !this.config.removeConsoleError) return false;
-                    if (statement.text.includes('console.info') && !this.config.removeConsoleInfo) return false;
-                    if (statement.text.includes('console.debug') && !this.config.removeConsoleDebug) return false;
-                    if (statement.text.includes('console.trace') && !this.config.removeConsoleTrace) return false;
-                    return true;
-                case 'debugger':
-                    return this.config.removeDebugger;
-                case 'print':
-                    return this.config.removePrint;
-                case 'system.out':
-                    return this.config.removeSystemOut;
-                default:
-                    return true;
+            if (statement.groupPair !== undefined && pairDecisions.has(statement.groupPair)) {
+                return pairDecisions.get(statement.groupPair);
             }
+            return this.isStatementEnabled(statement);
         });
     }
 
+    isStatementEnabled(statement) {
+        switch (statement.type) {
+            case 'console':
+                return this.isConsoleMethodEnabled(statement);
+            case 'debugger':
+                return this.config.removeDebugger;
+            case 'print':
+                return this.config.removePrint;
+            case 'system.out':
+                return this.config.removeSystemOut;
+            case 'system.err':
+                return this.config.removeSystemErr;
+            case 'stacktrace':
+                return this.config.removePrintStackTrace;
+            case 'logger':
+                return this.config.removeLogger;
+            default:
+                return this.customTypeToggles[statement.type] ?? true;
+        }
+    }
+
+    isConsoleMethodEnabled(statement) {
+        // The parser records the resolved method, so aliases and computed access are filtered like console.log
+        return this.config.consoleMethods[statement.method] ?? true;
+    }
+
+    removeStatementsOfType(code, statements, type) {
+        // Only the statements a full cleanup would remove, so disabled methods such as console.error stay
+        const selected = this.filterStatementsByConfig(statements).filter(statement => statement.type === type);
+        return this.removeSelectedStatements(code, this.expandGroupPairs(selected, statements));
+    }
+
+    expandGroupPairs(selected, statements) {
+        // Selecting either half of a console group selects the other half too
+        const pairs = new Set(selected
+            .filter(statement => statement.groupPair !== undefined)
+            .map(statement => statement.groupPair));
+
+        const partners = statements.filter(statement =>
+            statement.groupPair !== undefined && pairs.has(statement.groupPair) && !selected.includes(statement)
+        );
+
+        return [...selected, ...partners];
+    }
+
     cleanWhitespace(code) {
         // Remove excessive blank lines based on maxEmptyLines configuration
         const maxLines = this.config.maxEmptyLines;
@@ -231,14 +701,27 @@ class CodeCleaner {
         return this.removeDebugStatements(code, systemOutStatements);
     }
 
+    removeLoggerStatementsOnly(code, statements) {
+        const loggerStatements = statements.filter(stmt => stmt.type === 'logger');
+        return this.removeDebugStatements(code, loggerStatements);
+    }
+
     getStatementsByType(statements) {
         const byType = {
             console: [],
             print: [],
             debugger: [],
-            'system.out': []
+            'system.out': [],
+            'system.err': [],
+            stacktrace: [],
+            logger: []
         };
 
+        // Custom pattern types are reported alongside the built-in ones
+        Object.keys(this.customTypeToggles).forEach(type => {
+            byType[type] = byType[type] ?? [];
+        });
+
         statements.forEach(stmt => {
             if (byType[stmt.type]) {
                 byType[stmt.type].push(stmt);
@@ -248,13 +731,44 @@ class CodeCleaner {
         return byType;
     }
 
-    generateCleanupReport(originalCode, cleanResult) {
+    generateCleanupReport(originalCode, cleanResult, suppressedStatements = []) {
         const report = {
             originalLines: originalCode.split('\n').length,
             cleanedLines: cleanResult.cleanCode.split('\n').length,
             linesReduced: 0,
             removedCount: cleanResult.removedCount,
-            statementsByType: this.getStatementsByType(cleanResult.removedStatements || [])
+            statementsByType: this.getStatementsByType(cleanResult.removedStatements || []),
+            suppressedCount: suppressedStatements.length,
+            suppressedStatements: suppressedStatements.map(statement => ({
+                line: statement.line,
+                type: statement.type,
+                text: statement.text,
+                suppression: statement.suppression
+            })),
+            sideEffectStatements: [...(cleanResult.removedStatements || []), ...(cleanResult.skippedStatements || [])]
+                .filter(statement => statement.sideEffects)
+                .sort((a, b) => a.start - b.start)
+                .map(statement => ({
+                    line: statement.line,
+                    type: statement.type,
+                    text: statement.text,
+                    sideEffects: statement.sideEffects.map(effect => effect.text),
+                    handling: statement.sideEffectHandling
+                })),
+            unusedBindingCount: (cleanResult.unusedBindings || []).length,
+            unusedBindings: (cleanResult.unusedBindings || []).map(binding => ({
+                line: binding.line,
+                kind: binding.kind,
+                names: binding.names,
+                text: binding.text
+            })),
+            skippedCount: (cleanResult.skippedStatements || []).length,
+            skippedStatements: (cleanResult.skippedStatements || []).map(statement => ({
+                line: statement.line,
+                type: statement.type,
+                text: statement.text,
+                reason: statement.skipReason
+            }))
         };
 
         report.linesReduced = report.originalLines - report.cleanedLines;
@@ -265,14 +779,22 @@ class CodeCleaner {
     previewChanges(code, statements) {
         const changes = [];
 
-        statements.forEach(statement => {
+        statements.map(statement => this.applySideEffectHandling(statement)).forEach(statement => {
             const context = this.analyzeStatementContext(code, statement);
+            let action = context.isOnOwnLine ? 'Remove entire line' : 'Remove statement';
+            if (statement.skipReason) {
+                action = `Skip: ${statement.skipReason}`;
+            } else if (statement.replacement !== undefined) {
+                action = `Replace with ${statement.replacement}`;
+            }
+
             changes.push({
                 line: statement.line,
                 type: statement.type,
                 text: statement.text,
-                action: context.isOnOwnLine ? 'Remove entire line' : 'Remove statement',
-                context: context.lineContent || context.line
+                action,
+                context: context.lineContent || context.line,
+                sideEffects: statement.sideEffects ? statement.sideEffects.map(effect => effect.text) : []
             });
         });
 
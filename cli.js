@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+const { DebugStatementParser } = require('./parser');
+const { CodeCleaner } = require('./cleaner');
+const { getFilePattern } = require('./filePatterns');
+const { GitRepository } = require('./git');
+const { StagedChangesCleaner } = require('./preCommit');
+
+const SETTINGS_PREFIX = 'debugCleanupPro.';
+const DEFAULT_CONFIG_FILE = '.debug-cleanup.json';
+
+const USAGE = `Usage: debug-cleanup <command> [options] [files or globs...]
+
+Commands:
+  check                 Report debug statements and exit with code 1 if any are found
+  fix                   Remove debug statements and rewrite files in place, skipping files the cleanup would break;
+                        exits with code 1 if any statements or files had to be left unchanged
+  pre-commit            Check lines added in the staged diff and exit with code 1 if any are debug statements
+
+Options:
+  --fix                 With pre-commit, remove the statements from the staged content instead of failing
+  --include <glob>      Files to scan (repeatable, defaults to includeFileTypes)
+  --exclude <glob>      Files to skip (repeatable, added to excludePatterns)
+  --config <file>       JSON file with extension settings (default: ${DEFAULT_CONFIG_FILE})
+  -h, --help            Show this help`;
+
+class CleanupCli {
+    constructor(options = {}) {
+        this.cwd = options.cwd ?? process.cwd();
+        this.stdout = options.stdout ?? process.stdout;
+        this.stderr = options.stderr ?? process.stderr;
+    }
+
+    run(argv) {
+        let args;
+        let config;
+
+        try {
+            args = this.parseArguments(argv);
+            if (args.help) {
+                this.stdout.write(`${USAGE}\n`);
+                return 0;
+            }
+            config = this.loadConfiguration(args.configPath);
+        } catch (error) {
+            this.stderr.write(`debug-cleanup: ${error.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+
+        if (args.command === 'pre-commit') {
+            return this.preCommit(args, config);
+        }
+
+        const files = this.findFiles(args, config);
+
+        switch (args.command) {
+            case 'check':
+                return this.check(files, config);
+            case 'fix':
+                return this.fix(files, config);
+        }
+    }
+
+    parseArguments(argv) {
+        const args = { command: null, includes: [], excludes: [], configPath: null, help: false, fix: false };
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+
+            if (arg === '-h' || arg === '--help') {
+                args.help = true;
+            } else if (arg === '--fix') {
+                args.fix = true;
+            } else if (arg === '--include' || arg === '--exclude' || arg === '--config') {
+                const value = argv[++i];
+                if (value === undefined) {
+                    throw new Error(`Missing value for ${arg}`);
+                }
+                if (arg === '--include') {
+                    args.includes.push(value);
+                } else if (arg === '--exclude') {
+                    args.excludes.push(value);
+                } else {
+                    args.configPath = value;
+                }
+            } else if (arg.startsWith('-')) {
+                throw new Error(`Unknown option ${arg}`);
+            } else if (!args.command) {
+                args.command = arg;
+            } else {
+                args.includes.push(arg);
+            }
+        }
+
+        if (!args.help && !['check', 'fix', 'pre-commit'].includes(args.command)) {
+            throw new Error(args.command ? `Unknown command ${args.command}` : 'Missing command');
+        }
+
+        if (args.fix && args.command !== 'pre-commit') {
+            throw new Error('--fix is only supported by pre-commit');
+        }
+
+        return args;
+    }
+
+    getDefaultConfiguration() {
+        // The extension manifest is the single source of truth for setting defaults
+        const { properties } = require('./package.json').contributes.configuration;
+        const defaults = {};
+
+        Object.entries(properties).forEach(([key, schema]) => {
+            defaults[key.substring(SETTINGS_PREFIX.length)] = schema.default;
+        });
+
+        return defaults;
+    }
+
+    loadConfiguration(configPath) {
+        const config = this.getDefaultConfiguration();
+        const resolvedPath = path.resolve(this.cwd, configPath ?? DEFAULT_CONFIG_FILE);
+
+        if (!fs.existsSync(resolvedPath)) {
+            if (configPath) {
+                throw new Error(`Config file not found: ${configPath}`);
+            }
+            return config;
+        }
+
+        let settings;
+        try {
+            settings = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid config file ${configPath ?? DEFAULT_CONFIG_FILE}: ${error.message}`);
+        }
+
+        // Accept both `debugCleanupPro.removeConsoleLog` (settings.json style) and `removeConsoleLog`
+        Object.entries(settings).forEach(([key, value]) => {
+            const name = key.startsWith(SETTINGS_PREFIX) ? key.substring(SETTINGS_PREFIX.length) : key;
+            config[name] = value;
+        });
+
+        return config;
+    }
+
+    findFiles(args, config) {
+        const includes = args.includes.length > 0 ? args.includes : [getFilePattern(config.includeFileTypes)];
+        const ignore = [...(config.excludePatterns || []), ...args.excludes];
+        const files = new Set();
+
+        includes.forEach(pattern => {
+            const absolute = path.resolve(this.cwd, pattern);
+            if (fs.existsSync(absolute) && fs.statSync(absolute).isFile()) {
+                files.add(absolute);
+                return;
+            }
+
+            glob.sync(pattern, { cwd: this.cwd, ignore, nodir: true, absolute: true })
+                .forEach(file => files.add(path.resolve(file)));
+        });
+
+        return [...files].sort();
+    }
+
+    analyzeFile(filePath, config) {
+        const code = fs.readFileSync(filePath, 'utf8');
+        const parser = new DebugStatementParser(config);
+        const cleaner = new CodeCleaner(config);
+        const statements = cleaner.filterStatementsByConfig(parser.parseCode(code, filePath));
+
+        return { code, statements, parser, cleaner };
+    }
+
+    displayPath(filePath) {
+        return path.relative(this.cwd, filePath).split(path.sep).join('/');
+    }
+
+    reportSkipped(filePath, skippedStatements) {
+        skippedStatements.forEach(statement => {
+            this.stderr.write(
+                `${filePath}:${statement.line}:${statement.column + 1}: ` +
+                `${statement.type}: ${statement.text.split('\n')[0].trim()} (${statement.skipReason})\n`
+            );
+        });
+        return skippedStatements.length;
+    }
+
+    check(files, config) {
+        let findings = 0;
+        let filesWithFindings = 0;
+
+        files.forEach(filePath => {
+            const { statements } = this.analyzeFile(filePath, config);
+            if (statements.length === 0) {
+                return;
+            }
+
+            filesWithFindings++;
+            statements.forEach(statement => {
+                findings++;
+                this.stdout.write(
+                    `${this.displayPath(filePath)}:${statement.line}:${statement.column + 1}: ` +
+                    `${statement.type}: ${statement.text.split('\n')[0].trim()}\n`
+                );
+            });
+        });
+
+        if (findings > 0) {
+            this.stderr.write(`Found ${findings} debug statement(s) in ${filesWithFindings} file(s)\n`);
+            return 1;
+        }
+
+        this.stdout.write(`No debug statements found in ${files.length} file(s)\n`);
+        return 0;
+    }
+
+    fix(files, config) {
+        const action = new CodeCleaner(config).describeAction();
+        let removed = 0;
+        let changedFiles = 0;
+        let rolledBack = 0;
+        let skipped = 0;
+
+        files.forEach(filePath => {
+            const { code, statements, parser, cleaner } = this.analyzeFile(filePath, config);
+            if (statements.length === 0) {
+                return;
+            }
+
+            const cleanResult = cleaner.removeSelectedStatements(code, statements, parser.bindingDeclarations);
+            // `check` keeps failing on these, so say why they were left
+            skipped += this.reportSkipped(this.displayPath(filePath), cleanResult.skippedStatements);
+            if (cleanResult.removedCount === 0) {
+                return;
+            }
+
+            const syntaxError = parser.validateCleanup(code, cleanResult, filePath);
+            if (syntaxError) {
+                rolledBack++;
+                this.stderr.write(`${this.displayPath(filePath)}: ${parser.describeValidationError(syntaxError)}\n`);
+                return;
+            }
+
+            fs.writeFileSync(filePath, cleanResult.cleanCode);
+            removed += cleanResult.removedCount;
+            changedFiles++;
+            const unused = cleanResult.unusedBindings.length > 0
+                ? ` and ${cleanResult.unusedBindings.length} unused declaration(s)`
+                : '';
+            this.stdout.write(`${this.displayPath(filePath)}: ${action.past.toLowerCase()} ${cleanResult.removedCount} debug statement(s)${unused}\n`);
+        });
+
+        this.stdout.write(`${action.past} ${removed} debug statement(s) from ${changedFiles} file(s)\n`);
+        if (skipped > 0) {
+            this.stderr.write(`Left ${skipped} debug statement(s) in place because they cannot be removed safely\n`);
+        }
+        if (rolledBack > 0) {
+            this.stderr.write(`Left ${rolledBack} file(s) unchanged because cleanup would break their syntax\n`);
+        }
+        return skipped > 0 || rolledBack > 0 ? 1 : 0;
+    }
+
+    preCommit(args, config) {
+        let cleaner;
+        let results;
+
+        try {
+            cleaner = new StagedChangesCleaner(config, GitRepository.open(this.cwd));
+            results = cleaner.analyze();
+        } catch (error) {
+            this.stderr.write(`debug-cleanup: ${error.message}\n`);
+            return 2;
+        }
+
+        if (results.length === 0) {
+            return 0;
+        }
+
+        if (args.fix) {
+            let exitCode = 0;
+            let skipped = 0;
+            cleaner.fix(results).forEach(({ filePath, removedCount, updatedWorkingTree, rolledBack, skippedStatements }) => {
+                if (rolledBack) {
+                    exitCode = 1;
+                    this.stderr.write(`${filePath}: ${rolledBack}\n`);
+                    return;
+                }
+                const note = updatedWorkingTree ? '' : ' (staged content only, working tree has unstaged changes)';
+                this.stdout.write(`${filePath}: removed ${removedCount} debug statement(s)${note}\n`);
+                skipped += this.reportSkipped(filePath, skippedStatements);
+            });
+
+            if (skipped > 0) {
+                this.stderr.write(
+                    `Commit blocked: ${skipped} debug statement(s) in staged changes cannot be removed safely. ` +
+                    `Remove them by hand or mark them with a cleanup-keep comment.\n`
+                );
+                return 1;
+            }
+            return exitCode;
+        }
+
+        let findings = 0;
+        results.forEach(({ filePath, statements }) => {
+            statements.forEach(statement => {
+                findings++;
+                this.stdout.write(
+                    `${filePath}:${statement.line}:${statement.column + 1}: ` +
+                    `${statement.type}: ${statement.text.split('\n')[0].trim()}\n`
+                );
+            });
+        });
+
+        this.stderr.write(
+            `Commit blocked: ${findings} debug statement(s) added in staged changes. ` +
+            `Run "debug-cleanup pre-commit --fix" to remove them.\n`
+        );
+        return 1;
+    }
+}
+
+module.exports = { CleanupCli };
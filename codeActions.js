@@ -0,0 +1,186 @@
+const vscode = require('vscode');
+const { DebugStatementParser } = require('./parser');
+const { CodeCleaner } = require('./cleaner');
+const { DIAGNOSTIC_SOURCE } = require('./diagnostics');
+
+const SUPPORTED_LANGUAGES = ['javascript', 'typescript', 'javascriptreact', 'typescriptreact', 'java', 'python'];
+
+class DebugCodeActionProvider {
+    constructor(getConfiguration) {
+        this.getConfiguration = getConfiguration;
+        this.parsed = null;
+    }
+
+    static get documentSelector() {
+        return SUPPORTED_LANGUAGES.flatMap(language => [
+            { language, scheme: 'file' },
+            { language, scheme: 'untitled' }
+        ]);
+    }
+
+    provideCodeActions(document, range, context) {
+        const config = this.getConfiguration();
+        const text = document.getText();
+        const { parser, statements } = this.parse(document, text, config);
+
+        const onLine = statements.filter(statement => {
+            const endLine = document.positionAt(statement.end).line;
+            return statement.line - 1 <= range.end.line && endLine >= range.start.line;
+        });
+
+        if (onLine.length === 0) {
+            return [];
+        }
+
+        const cleaner = new CodeCleaner(config);
+        // Single-statement fixes touch only that statement, not whitespace elsewhere in the file
+        const statementCleaner = new CodeCleaner({ ...config, cleanWhitespace: false });
+        const language = parser.detectLanguage(document.fileName, document.languageId);
+        const actions = [];
+
+        // Only the statement under the cursor is converted, or the first on the line when the cursor is beside it
+        const cursor = document.offsetAt(range.start);
+        const underCursor = onLine.find(statement => statement.start <= cursor && cursor <= statement.end) ?? onLine[0];
+
+        onLine.forEach(statement => {
+            const diagnostics = context.diagnostics.filter(diagnostic =>
+                diagnostic.source === DIAGNOSTIC_SOURCE &&
+                document.offsetAt(diagnostic.range.start) === statement.start
+            );
+
+            // Converting keeps the call and its arguments, so it is offered even where removal is not
+            const conversion = statement === underCursor
+                ? statementCleaner.convertSelectedStatements(text, [statement], language)
+                : { convertedCount: 0 };
+            const convertOne = conversion.convertedCount > 0
+                ? this.createAction(
+                    `Convert to a ${conversion.convertedStatements[0].level} logger call`,
+                    document,
+                    text,
+                    conversion.cleanCode,
+                    diagnostics
+                )
+                : null;
+
+            // Calls whose value is used elsewhere, or whose arguments have side effects, can only be kept
+            if (statementCleaner.applySideEffectHandling(statement).skipReason) {
+                if (convertOne) {
+                    actions.push(convertOne);
+                }
+                actions.push(this.createKeepAction(document, statement, parser, diagnostics));
+                return;
+            }
+
+            const removeOne = this.createAction(
+                `${cleaner.describeAction().verb} this debug statement: ${statement.text.split('\n')[0].trim()}`,
+                document,
+                text,
+                statementCleaner.removeSelectedStatements(text, cleaner.expandGroupPairs([statement], statements)).cleanCode,
+                diagnostics
+            );
+            removeOne.isPreferred = true;
+            actions.push(removeOne);
+
+            if (convertOne) {
+                actions.push(convertOne);
+            }
+
+            actions.push(this.createKeepAction(document, statement, parser, diagnostics));
+        });
+
+        // File-wide actions are offered once, keyed by the statement types on these lines
+        const types = [...new Set(onLine.map(statement => statement.type))];
+        types.forEach(type => {
+            // The count is what the cleaner actually removes, not every statement of the type
+            const typeResult = cleaner.removeStatementsOfType(text, statements, type);
+            if (typeResult.removedCount === 0) {
+                return;
+            }
+
+            actions.push(this.createAction(
+                `${cleaner.describeAction().verb} all ${type} debug statements in file (${typeResult.removedCount})`,
+                document,
+                text,
+                typeResult.cleanCode
+            ));
+        });
+
+        const allResult = cleaner.removeDebugStatements(text, statements, parser.bindingDeclarations);
+        if (allResult.removedCount > 0) {
+            actions.push(this.createAction(
+                `${cleaner.describeAction().verb} all debug statements in file (${allResult.removedCount})`,
+                document,
+                text,
+                allResult.cleanCode
+            ));
+        }
+
+        return actions;
+    }
+
+    // Code actions are requested on every cursor move, so the parse is reused until the document or settings change
+    parse(document, text, config) {
+        const key = `${document.uri.toString()}@${document.version}:${JSON.stringify(config)}`;
+
+        if (!this.parsed || this.parsed.key !== key) {
+            const parser = new DebugStatementParser(config);
+            this.parsed = { key, parser, statements: parser.parseCode(text, document.fileName, document.languageId) };
+        }
+
+        return this.parsed;
+    }
+
+    createAction(title, document, originalText, newText, diagnostics = []) {
+        const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+        action.edit = new vscode.WorkspaceEdit();
+
+        // Replace only the span that changed so cursors and folding elsewhere are left alone
+        let prefix = 0;
+        const maxPrefix = Math.min(originalText.length, newText.length);
+        while (prefix < maxPrefix && originalText[prefix] === newText[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        const maxSuffix = Math.min(originalText.length, newText.length) - prefix;
+        while (
+            suffix < maxSuffix &&
+            originalText[originalText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+        ) {
+            suffix++;
+        }
+
+        action.edit.replace(
+            document.uri,
+            new vscode.Range(
+                document.positionAt(prefix),
+                document.positionAt(originalText.length - suffix)
+            ),
+            newText.substring(prefix, newText.length - suffix)
+        );
+
+        if (diagnostics.length > 0) {
+            action.diagnostics = diagnostics;
+        }
+
+        return action;
+    }
+
+    createKeepAction(document, statement, parser, diagnostics) {
+        const language = parser.detectLanguage(document.fileName, document.languageId);
+        const comment = language === 'python' ? '# cleanup-keep' : '// cleanup-keep';
+        const endLine = document.lineAt(document.positionAt(statement.end).line);
+
+        const action = new vscode.CodeAction('Keep this debug statement (add suppression comment)', vscode.CodeActionKind.QuickFix);
+        action.edit = new vscode.WorkspaceEdit();
+        action.edit.insert(document.uri, endLine.range.end, ` ${comment}`);
+
+        if (diagnostics.length > 0) {
+            action.diagnostics = diagnostics;
+        }
+
+        return action;
+    }
+}
+
+module.exports = { DebugCodeActionProvider };
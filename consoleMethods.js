@@ -0,0 +1,59 @@
+// Every method of the console API, mapped to whether cleanup removes it by default
+const CONSOLE_METHODS = {
+    log: true,
+    info: true,
+    warn: true,
+    error: false,
+    debug: true,
+    trace: true,
+    table: true,
+    dir: true,
+    dirxml: true,
+    group: true,
+    groupCollapsed: true,
+    groupEnd: true,
+    time: true,
+    timeLog: true,
+    timeEnd: true,
+    timeStamp: true,
+    count: true,
+    countReset: true,
+    assert: true,
+    profile: true,
+    profileEnd: true,
+    clear: true
+};
+
+const GROUP_OPENERS = ['group', 'groupCollapsed'];
+const GROUP_CLOSER = 'groupEnd';
+
+// Deprecated boolean settings that predate consoleMethods
+const LEGACY_CONSOLE_SETTINGS = {
+    removeConsoleLog: 'log',
+    removeConsoleWarn: 'warn',
+    removeConsoleError: 'error',
+    removeConsoleInfo: 'info',
+    removeConsoleDebug: 'debug',
+    removeConsoleTrace: 'trace'
+};
+
+function resolveConsoleMethods(config = {}) {
+    const methods = { ...CONSOLE_METHODS, ...(config.consoleMethods || {}) };
+
+    // An explicitly set legacy toggle still wins so existing settings keep working
+    Object.entries(LEGACY_CONSOLE_SETTINGS).forEach(([setting, method]) => {
+        if (typeof config[setting] === 'boolean') {
+            methods[method] = config[setting];
+        }
+    });
+
+    return methods;
+}
+
+module.exports = {
+    CONSOLE_METHODS,
+    GROUP_OPENERS,
+    GROUP_CLOSER,
+    LEGACY_CONSOLE_SETTINGS,
+    resolveConsoleMethods
+};
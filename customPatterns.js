@@ -0,0 +1,226 @@
+const IDENTIFIER_START = /[\p{L}_$]/u;
+const IDENTIFIER_PART = /[\p{L}\p{N}_$]/u;
+
+// Compiled patterns by their JSON, so each configuration is validated and warned about only once
+const compiledPatterns = new Map();
+
+class CustomPatternMatcher {
+    constructor(patterns = [], language = null) {
+        this.patterns = CustomPatternMatcher.compile(patterns)
+            .filter(pattern => !language || !pattern.languages || pattern.languages.includes(language));
+    }
+
+    static compile(patterns) {
+        const key = JSON.stringify(patterns || []);
+        if (!compiledPatterns.has(key)) {
+            compiledPatterns.set(key, CustomPatternMatcher.validate(patterns));
+        }
+        return compiledPatterns.get(key);
+    }
+
+    static validate(patterns) {
+        const compiled = [];
+
+        (patterns || []).forEach((pattern, index) => {
+            if (!pattern || typeof pattern.callee !== 'string' || typeof pattern.type !== 'string') {
+                console.warn(`Ignoring custom pattern #${index + 1}: "callee" and "type" are required`);
+                return;
+            }
+
+            const segments = pattern.callee.split('.').map(segment => segment.trim());
+            if (segments.some(segment => segment === '')) {
+                console.warn(`Ignoring custom pattern #${index + 1}: invalid callee "${pattern.callee}"`);
+                return;
+            }
+
+            let argumentPattern = null;
+            if (pattern.arguments) {
+                try {
+                    argumentPattern = new RegExp(pattern.arguments);
+                } catch (error) {
+                    console.warn(`Ignoring custom pattern #${index + 1}: ${error.message}`);
+                    return;
+                }
+            }
+
+            compiled.push({
+                callee: pattern.callee,
+                segments,
+                argumentPattern,
+                languages: Array.isArray(pattern.languages) && pattern.languages.length > 0 ? pattern.languages : null,
+                type: pattern.type,
+                remove: pattern.remove !== false
+            });
+        });
+
+        return compiled;
+    }
+
+    static getTypeToggles(patterns) {
+        // A custom type is removed when any pattern declaring it opts in
+        const toggles = {};
+        CustomPatternMatcher.compile(patterns).forEach(pattern => {
+            toggles[pattern.type] = (toggles[pattern.type] ?? false) || pattern.remove;
+        });
+        return toggles;
+    }
+
+    get isEmpty() {
+        return this.patterns.length === 0;
+    }
+
+    match(segments, argumentsText = '') {
+        if (!segments) {
+            return null;
+        }
+
+        return this.patterns.find(pattern =>
+            pattern.segments.length === segments.length &&
+            pattern.segments.every((segment, i) => segment === '*' || segment === segments[i]) &&
+            (!pattern.argumentPattern || pattern.argumentPattern.test(argumentsText))
+        ) || null;
+    }
+
+    scan(code) {
+        // Token-level fallback for code Babel cannot parse: strings and comments are skipped,
+        // and a match needs a full callee chain followed by balanced parentheses
+        const matches = [];
+        if (this.isEmpty) {
+            return matches;
+        }
+
+        let i = 0;
+        while (i < code.length) {
+            const skipped = this.skipStringOrComment(code, i);
+            if (skipped !== i) {
+                i = skipped;
+                continue;
+            }
+
+            const previous = this.previousSignificantChar(code, i);
+            if (!IDENTIFIER_START.test(code[i]) || IDENTIFIER_PART.test(code[i - 1] ?? '') || previous === '.') {
+                i++;
+                continue;
+            }
+
+            const chain = this.readCalleeChain(code, i);
+            const open = this.skipSpaces(code, chain.end);
+
+            if (code[open] === '(') {
+                const close = this.findClosingParen(code, open);
+                const pattern = close === -1
+                    ? null
+                    : this.match(chain.segments, code.substring(open + 1, close).trim());
+
+                if (pattern) {
+                    let end = close + 1;
+                    const semicolon = code.substring(end).match(/^[ \t]*;/);
+                    if (semicolon) {
+                        end += semicolon[0].length;
+                    }
+
+                    matches.push({ type: pattern.type, callee: chain.segments.join('.'), start: i, end });
+                    i = end;
+                    continue;
+                }
+            }
+
+            i = chain.end;
+        }
+
+        return matches;
+    }
+
+    readCalleeChain(code, start) {
+        const segments = [];
+        let i = start;
+
+        while (true) {
+            let end = i;
+            while (end < code.length && IDENTIFIER_PART.test(code[end])) {
+                end++;
+            }
+            segments.push(code.substring(i, end));
+
+            const dot = this.skipSpaces(code, end);
+            const next = code[dot] === '?' && code[dot + 1] === '.' ? dot + 2 : code[dot] === '.' ? dot + 1 : -1;
+            const segmentStart = next === -1 ? -1 : this.skipSpaces(code, next);
+
+            if (segmentStart === -1 || !IDENTIFIER_START.test(code[segmentStart] ?? '')) {
+                return { segments, end };
+            }
+            i = segmentStart;
+        }
+    }
+
+    findClosingParen(code, open) {
+        let depth = 0;
+        let i = open;
+
+        while (i < code.length) {
+            const skipped = this.skipStringOrComment(code, i);
+            if (skipped !== i) {
+                i = skipped;
+                continue;
+            }
+
+            if (code[i] === '(') {
+                depth++;
+            } else if (code[i] === ')') {
+                depth--;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+            i++;
+        }
+
+        return -1;
+    }
+
+    skipStringOrComment(code, i) {
+        const char = code[i];
+
+        if (char === '/' && code[i + 1] === '/') {
+            const newline = code.indexOf('\n', i);
+            return newline === -1 ? code.length : newline;
+        }
+
+        if (char === '/' && code[i + 1] === '*') {
+            const close = code.indexOf('*/', i + 2);
+            return close === -1 ? code.length : close + 2;
+        }
+
+        if (char === '"' || char === "'" || char === '`') {
+            let j = i + 1;
+            while (j < code.length && code[j] !== char) {
+                if (code[j] === '\\') {
+                    j++;
+                } else if (code[j] === '\n' && char !== '`') {
+                    return j;
+                }
+                j++;
+            }
+            return j + 1;
+        }
+
+        return i;
+    }
+
+    skipSpaces(code, i) {
+        while (i < code.length && /\s/.test(code[i])) {
+            i++;
+        }
+        return i;
+    }
+
+    previousSignificantChar(code, i) {
+        let j = i - 1;
+        while (j >= 0 && /\s/.test(code[j])) {
+            j--;
+        }
+        return code[j];
+    }
+}
+
+module.exports = { CustomPatternMatcher };
@@ -0,0 +1,134 @@
+const vscode = require('vscode');
+const { DebugStatementParser } = require('./parser');
+const { CodeCleaner } = require('./cleaner');
+const { ValidationHelper } = require('./errorHandler');
+
+const DIAGNOSTIC_SOURCE = 'Debug Cleanup Pro';
+const ANALYZED_SCHEMES = ['file', 'untitled'];
+
+const SEVERITIES = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning,
+    information: vscode.DiagnosticSeverity.Information,
+    hint: vscode.DiagnosticSeverity.Hint
+};
+
+class DebugDiagnosticsProvider {
+    constructor(getConfiguration) {
+        this.getConfiguration = getConfiguration;
+        this.collection = vscode.languages.createDiagnosticCollection('debugCleanupPro');
+        this.timers = new Map();
+        this.disposables = [];
+    }
+
+    activate() {
+        this.disposables.push(
+            vscode.workspace.onDidOpenTextDocument(document => this.refresh(document)),
+            vscode.workspace.onDidChangeTextDocument(event => this.scheduleRefresh(event.document)),
+            vscode.workspace.onDidCloseTextDocument(document => this.clear(document)),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('debugCleanupPro')) {
+                    this.refreshAll();
+                }
+            })
+        );
+
+        this.refreshAll();
+    }
+
+    refreshAll() {
+        vscode.workspace.textDocuments.forEach(document => this.refresh(document));
+    }
+
+    scheduleRefresh(document) {
+        const key = document.uri.toString();
+        clearTimeout(this.timers.get(key));
+
+        const delay = this.getConfiguration().diagnosticsDelay ?? 500;
+        this.timers.set(key, setTimeout(() => {
+            this.timers.delete(key);
+            this.refresh(document);
+        }, delay));
+    }
+
+    refresh(document) {
+        const config = this.getConfiguration();
+
+        if (!this.shouldAnalyze(document, config)) {
+            this.collection.delete(document.uri);
+            return;
+        }
+
+        const parser = new DebugStatementParser(config);
+        const cleaner = new CodeCleaner(config);
+
+        const text = document.getText();
+        let statements;
+        try {
+            statements = parser.parseCode(text, document.fileName, document.languageId);
+        } catch (error) {
+            this.collection.delete(document.uri);
+            return;
+        }
+
+        // Only report what a cleanup run would act on; guarded statements were already dealt with
+        const enabled = cleaner.filterStatementsByConfig(statements).filter(statement => !cleaner.isGuarded(text, statement));
+        const { skippedStatements } = cleaner.removeSelectedStatements(text, enabled, parser.bindingDeclarations);
+        const skipReasons = new Map(skippedStatements.map(statement => [statement.start, statement.skipReason]));
+        const diagnostics = enabled
+            .map(statement => this.createDiagnostic(document, statement, config, skipReasons.get(statement.start)))
+            .filter(Boolean);
+
+        this.collection.set(document.uri, diagnostics);
+    }
+
+    shouldAnalyze(document, config) {
+        if (!config.enableDiagnostics || !ANALYZED_SCHEMES.includes(document.uri.scheme)) {
+            return false;
+        }
+
+        // Untitled documents have no extension, so fall back to the language id
+        const typeAllowed = ValidationHelper.validateFileType(document.fileName, config.includeFileTypes) ||
+            config.includeFileTypes.some(type => type.toLowerCase() === document.languageId);
+
+        return typeAllowed && !ValidationHelper.shouldExcludeFile(document.uri.fsPath, config.excludePatterns);
+    }
+
+    createDiagnostic(document, statement, config, skipReason) {
+        const severityName = config.diagnosticSeverity?.[statement.type] ?? 'warning';
+        if (severityName === 'off') {
+            return null;
+        }
+
+        const range = new vscode.Range(
+            document.positionAt(statement.start),
+            document.positionAt(statement.end)
+        );
+        const message = `Debug statement (${statement.type}): ${statement.text.split('\n')[0].trim()}`;
+        const diagnostic = new vscode.Diagnostic(
+            range,
+            skipReason ? `${message} (cleanup will leave it in place: ${skipReason})` : message,
+            SEVERITIES[severityName] ?? vscode.DiagnosticSeverity.Warning
+        );
+        diagnostic.source = DIAGNOSTIC_SOURCE;
+        diagnostic.code = statement.type;
+
+        return diagnostic;
+    }
+
+    clear(document) {
+        const key = document.uri.toString();
+        clearTimeout(this.timers.get(key));
+        this.timers.delete(key);
+        this.collection.delete(document.uri);
+    }
+
+    dispose() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.collection.dispose();
+    }
+}
+
+module.exports = { DebugDiagnosticsProvider, DIAGNOSTIC_SOURCE };
@@ -79,6 +79,17 @@ class ErrorHandler {
         }
     }
 
+    static handleValidationError(validation, filePath) {
+        const statement = validation.statement;
+        return {
+            type: 'rollback',
+            message: `Cleanup of ${filePath} was rolled back: it would introduce a syntax error (${validation.message} at line ${validation.line}).`,
+            suggestion: statement
+                ? `Removing line ${statement.line} (${statement.text.split('\n')[0].trim()}) breaks the file. Remove it by hand or mark it with a cleanup-keep comment.`
+                : 'The file was left unchanged. Remove the debug statements by hand or exclude the file from cleanup.'
+        };
+    }
+
     static async showError(errorInfo, showDetails = false) {
         const actions = showDetails ? ['Show Details', 'OK'] : ['Show Details'];
 
@@ -173,10 +184,46 @@ class UserFeedback {
         return result === confirmText;
     }
 
-    static async showQuickPick(items, placeHolder) {
-        return await vscode.window.showQuickPick(items, {
-            placeHolder,
-            canPickMany: false
+    static async showQuickPick(items, placeHolder, options = {}) {
+        const { canPickMany = false, onDidChangeActive = null } = options;
+
+        if (!onDidChangeActive) {
+            return await vscode.window.showQuickPick(items, {
+                placeHolder,
+                canPickMany
+            });
+        }
+
+        // showQuickPick cannot report the highlighted item, so build the picker by hand
+        return new Promise(resolve => {
+            const quickPick = vscode.window.createQuickPick();
+            let accepted = false;
+
+            quickPick.items = items;
+            quickPick.placeholder = placeHolder;
+            quickPick.canSelectMany = canPickMany;
+            if (canPickMany) {
+                quickPick.selectedItems = items.filter(item => item.picked);
+            }
+
+            quickPick.onDidChangeActive(active => {
+                if (active.length > 0) {
+                    onDidChangeActive(active[0]);
+                }
+            });
+            quickPick.onDidAccept(() => {
+                accepted = true;
+                resolve(canPickMany ? [...quickPick.selectedItems] : quickPick.selectedItems[0]);
+                quickPick.hide();
+            });
+            quickPick.onDidHide(() => {
+                if (!accepted) {
+                    resolve(undefined);
+                }
+                quickPick.dispose();
+            });
+
+            quickPick.show();
         });
     }
 
@@ -189,7 +236,9 @@ class UserFeedback {
             processedFiles = 0,
             totalFiles = 0,
             removedStatements = 0,
+            suppressedStatements = 0,
             skippedFiles = 0,
+            rolledBackFiles = [],
             errors = 0,
             duration = 0
         } = results;
@@ -198,23 +247,35 @@ class UserFeedback {
         message += `• Processed: ${processedFiles}/${totalFiles} files\n`;
         message += `• Removed: ${removedStatements} debug statements\n`;
 
+        if (suppressedStatements > 0) {
+            message += `• Kept: ${suppressedStatements} statements marked with suppression comments\n`;
+        }
+
         if (skippedFiles > 0) {
             message += `• Skipped: ${skippedFiles} files\n`;
         }
 
+        if (rolledBackFiles.length > 0) {
+            message += `• Rolled back: ${rolledBackFiles.length} files left unchanged because cleanup broke their syntax\n`;
+            rolledBackFiles.forEach(({ file, error }) => {
+                message += `  - ${file}: ${error.suggestion}\n`;
+            });
+        }
+
         if (errors > 0) {
             message += `• Errors: ${errors} files with issues\n`;
         }
 
         message += `• Duration: ${(duration / 1000).toFixed(2)}s`;
 
-        const actions = errors > 0 ? ['Show Errors', 'OK'] : ['OK'];
+        const actions = errors > 0 ? ['Show Errors', 'OK'] :
+            suppressedStatements > 0 || rolledBackFiles.length > 0 ? ['Show Details', 'OK'] : ['OK'];
 
         vscode.window.showInformationMessage(
             `Processed ${processedFiles} files, removed ${removedStatements} debug statements`,
             ...actions
         ).then(result => {
-            if (result === 'Show Errors') {
+            if (result === 'Show Errors' || result === 'Show Details') {
                 vscode.window.showInformationMessage(message, { modal: true });
             }
         });
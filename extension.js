@@ -1,14 +1,34 @@
 const vscode = require('vscode');
+const path = require('path');
 const { DebugStatementParser } = require('./parser');
 const { CodeCleaner } = require('./cleaner');
 const { ErrorHandler, ProgressReporter, UserFeedback, ValidationHelper } = require('./errorHandler');
+const { CleanupPreviewProvider, PREVIEW_SCHEME } = require('./preview');
+const { DebugDiagnosticsProvider } = require('./diagnostics');
+const { DebugCodeActionProvider } = require('./codeActions');
+const { getFilePattern, getExcludePattern } = require('./filePatterns');
+const { GitRepository } = require('./git');
+const { StagedChangesCleaner } = require('./preCommit');
+const { CHANGE_SOURCES, ChangedLinesFilter } = require('./changedLines');
+const { CleanupHistory } = require('./history');
+const { selectStatementsInRanges } = require('./selection');
+const { ScanCache, WorkspaceScanner } = require('./workspaceScan');
+const { DebugStatementTreeProvider, STATEMENT_TREE_VIEW } = require('./treeView');
+const { findMatchingStatement } = require('./statementTree');
 
 function activate(context) {
     console.log('Debug Cleanup Pro is now active!');
 
+    const previewProvider = new CleanupPreviewProvider();
+    context.subscriptions.push(
+        vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, previewProvider),
+        previewProvider
+    );
+
     function getConfiguration() {
         const config = vscode.workspace.getConfiguration('debugCleanupPro');
         return {
+            consoleMethods: config.get('consoleMethods'),
             removeConsoleLog: config.get('removeConsoleLog'),
             removeConsoleWarn: config.get('removeConsoleWarn'),
             removeConsoleError: config.get('removeConsoleError'),
@@ -18,16 +38,73 @@ function activate(context) {
             removeDebugger: config.get('removeDebugger'),
             removePrint: config.get('removePrint'),
             removeSystemOut: config.get('removeSystemOut'),
+            removeSystemErr: config.get('removeSystemErr'),
+            removePrintStackTrace: config.get('removePrintStackTrace'),
+            removeLogger: config.get('removeLogger'),
+            loggerNames: config.get('loggerNames'),
+            loggerLevels: config.get('loggerLevels'),
+            customPatterns: config.get('customPatterns'),
+            sideEffectHandling: config.get('sideEffectHandling'),
+            removeUnusedBindings: config.get('removeUnusedBindings'),
+            selectionOverlap: config.get('selectionOverlap'),
+            loggerTargets: config.get('loggerTargets'),
+            loggerLevelMap: config.get('loggerLevelMap'),
+            cleanupAction: config.get('cleanupAction'),
+            guardConditions: config.get('guardConditions'),
             maxEmptyLines: config.get('maxEmptyLines'),
             cleanWhitespace: config.get('cleanWhitespace'),
             preserveComments: config.get('preserveComments'),
             showPreview: config.get('showPreview'),
             autoSave: config.get('autoSave'),
             excludePatterns: config.get('excludePatterns'),
-            includeFileTypes: config.get('includeFileTypes')
+            includeFileTypes: config.get('includeFileTypes'),
+            enableDiagnostics: config.get('enableDiagnostics'),
+            diagnosticSeverity: config.get('diagnosticSeverity'),
+            diagnosticsDelay: config.get('diagnosticsDelay')
         };
     }
 
+    const cleanupHistory = new CleanupHistory(context.workspaceState);
+    const scanCache = new ScanCache(context.workspaceState);
+
+    const diagnosticsProvider = new DebugDiagnosticsProvider(getConfiguration);
+    diagnosticsProvider.activate();
+    context.subscriptions.push(diagnosticsProvider);
+
+    context.subscriptions.push(
+        vscode.languages.registerCodeActionsProvider(
+            DebugCodeActionProvider.documentSelector,
+            new DebugCodeActionProvider(getConfiguration),
+            { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+        )
+    );
+
+    const statementTreeProvider = new DebugStatementTreeProvider(getConfiguration, scanCache);
+    statementTreeProvider.activate();
+    context.subscriptions.push(
+        statementTreeProvider,
+        vscode.window.registerTreeDataProvider(STATEMENT_TREE_VIEW, statementTreeProvider),
+        vscode.commands.registerCommand('debug-cleanup-pro.refreshStatementTree', () => statementTreeProvider.refreshAll()),
+        vscode.commands.registerCommand('debug-cleanup-pro.removeTreeStatement', node =>
+            cleanFromTree(node, ({ config, cleaner, text, statements }) => {
+                const statement = findMatchingStatement(statements, node.statement);
+                // A single statement leaves whitespace elsewhere in the file alone, as its quick fix does
+                return new CodeCleaner({ ...config, cleanWhitespace: false }).removeSelectedStatements(
+                    text,
+                    statement ? cleaner.expandGroupPairs([statement], statements) : []
+                );
+            })
+        ),
+        vscode.commands.registerCommand('debug-cleanup-pro.removeTreeType', node =>
+            cleanFromTree(node, ({ cleaner, text, statements }) => cleaner.removeStatementsOfType(text, statements, node.type))
+        ),
+        vscode.commands.registerCommand('debug-cleanup-pro.removeTreeFile', node =>
+            cleanFromTree(node, ({ cleaner, parser, text, statements }) =>
+                cleaner.removeDebugStatements(text, statements, parser.bindingDeclarations)
+            )
+        )
+    );
+
     let disposable = vscode.commands.registerCommand('debug-cleanup-pro.cleanupDebug', async function () {
         const startTime = Date.now();
 
@@ -53,11 +130,11 @@ function activate(context) {
                 return;
             }
 
-            const parser = new DebugStatementParser();
+            const parser = new DebugStatementParser(config);
             let statements;
 
             try {
-                statements = parser.parseCode(text, filePath);
+                statements = parser.parseCode(text, filePath, document.languageId);
             } catch (parseError) {
                 const errorInfo = ErrorHandler.handleParseError(parseError, filePath);
                 UserFeedback.warning(errorInfo.message, errorInfo.suggestion);
@@ -73,33 +150,35 @@ function activate(context) {
             }
 
             if (statements.length === 0) {
-                UserFeedback.success(`No debug statements found in ${fileName}`);
+                UserFeedback.success(
+                    `No debug statements found in ${fileName}`,
+                    describeSuppressions(parser.suppressedStatements)
+                );
                 return;
             }
 
             const cleaner = new CodeCleaner(config);
-            const cleanResult = cleaner.removeDebugStatements(text, statements);
+            const cleanResult = cleaner.removeDebugStatements(text, statements, parser.bindingDeclarations);
 
             if (cleanResult.removedCount === 0) {
                 UserFeedback.success(
                     `No debug statements to clean in ${fileName}`,
-                    'All found debug statements are disabled in your configuration settings.'
+                    cleanResult.skippedStatements.length > 0
+                        ? describeSkipped(cleaner.generateCleanupReport(text, cleanResult).skippedStatements)
+                        : 'All found debug statements are disabled in your configuration settings.'
                 );
                 return;
             }
 
+            const syntaxError = parser.validateCleanup(text, cleanResult, filePath, document.languageId);
+            if (syntaxError) {
+                ErrorHandler.showError(ErrorHandler.handleValidationError(syntaxError, fileName));
+                return;
+            }
+
             // Show preview if configured
             if (config.showPreview) {
-                const preview = cleaner.previewChanges(text, statements);
-                const previewMessage = preview.map(change =>
-                    `Line ${change.line}: ${change.action} - ${change.text}`
-                ).join('\n');
-
-                const proceed = await UserFeedback.confirm(
-                    `Found ${cleanResult.removedCount} debug statements to remove. Continue?`,
-                    'Clean Now',
-                    'Cancel'
-                );
+                const proceed = await confirmWithPreview(document, text, cleanResult.cleanCode, cleanResult);
 
                 if (!proceed) {
                     UserFeedback.statusBarMessage('Cleanup cancelled');
@@ -107,21 +186,17 @@ function activate(context) {
                 }
             }
 
-            const edit = new vscode.WorkspaceEdit();
-            const fullRange = new vscode.Range(
-                document.positionAt(0),
-                document.positionAt(text.length)
-            );
-            edit.replace(document.uri, fullRange, cleanResult.cleanCode);
-
-            await vscode.workspace.applyEdit(edit);
+            await replaceDocumentText(document, text, cleanResult.cleanCode);
 
             const duration = Date.now() - startTime;
-            const report = cleaner.generateCleanupReport(text, cleanResult);
+            const report = cleaner.generateCleanupReport(text, cleanResult, parser.suppressedStatements);
 
             UserFeedback.success(
-                `Cleaned ${fileName}: Removed ${cleanResult.removedCount} debug statement(s)`,
-                `Lines reduced: ${report.linesReduced}\nDuration: ${(duration / 1000).toFixed(2)}s`
+                `Cleaned ${fileName}: ${cleaner.describeAction().past} ${cleanResult.removedCount} debug statement(s)`,
+                `Lines reduced: ${report.linesReduced}\nDuration: ${(duration / 1000).toFixed(2)}s` +
+                    (report.suppressedCount > 0 ? `\n${describeSuppressions(report.suppressedStatements)}` : '') +
+                    (report.skippedCount > 0 ? `\n${describeSkipped(report.skippedStatements)}` : '') +
+                    (report.unusedBindingCount > 0 ? `\n${describeUnusedBindings(report.unusedBindings)}` : '')
             );
 
             if (config.autoSave) {
@@ -172,11 +247,11 @@ function activate(context) {
 
                 progress.report({ increment: 30, message: 'Parsing code...' });
 
-                const parser = new DebugStatementParser();
+                const parser = new DebugStatementParser(config);
                 let statements;
 
                 try {
-                    statements = parser.parseCode(text, filePath);
+                    statements = parser.parseCode(text, filePath, document.languageId);
                 } catch (parseError) {
                     const errorInfo = ErrorHandler.handleParseError(parseError, filePath);
                     UserFeedback.warning(errorInfo.message, errorInfo.suggestion);
@@ -191,40 +266,57 @@ function activate(context) {
                 }
 
                 if (statements.length === 0) {
-                    UserFeedback.success(`No debug statements found in ${fileName}`);
+                    UserFeedback.success(
+                        `No debug statements found in ${fileName}`,
+                        describeSuppressions(parser.suppressedStatements)
+                    );
                     return;
                 }
 
                 progress.report({ increment: 30, message: 'Cleaning debug statements...' });
 
                 const cleaner = new CodeCleaner(config);
-                const cleanResult = cleaner.removeDebugStatements(text, statements);
+                const cleanResult = cleaner.removeDebugStatements(text, statements, parser.bindingDeclarations);
 
                 if (cleanResult.removedCount === 0) {
                     UserFeedback.success(
                         `No debug statements to clean in ${fileName}`,
-                        'All found debug statements are disabled in your configuration settings.'
+                        cleanResult.skippedStatements.length > 0
+                            ? describeSkipped(cleaner.generateCleanupReport(text, cleanResult).skippedStatements)
+                            : 'All found debug statements are disabled in your configuration settings.'
                     );
                     return;
                 }
 
-                const edit = new vscode.WorkspaceEdit();
-                const fullRange = new vscode.Range(
-                    document.positionAt(0),
-                    document.positionAt(text.length)
-                );
-                edit.replace(document.uri, fullRange, cleanResult.cleanCode);
+                const syntaxError = parser.validateCleanup(text, cleanResult, filePath, document.languageId);
+                if (syntaxError) {
+                    ErrorHandler.showError(ErrorHandler.handleValidationError(syntaxError, fileName));
+                    return;
+                }
+
+                if (config.showPreview) {
+                    progress.report({ message: 'Waiting for preview review...' });
+                    const proceed = await confirmWithPreview(document, text, cleanResult.cleanCode, cleanResult);
+
+                    if (!proceed) {
+                        UserFeedback.statusBarMessage('Cleanup cancelled');
+                        return;
+                    }
+                }
 
-                await vscode.workspace.applyEdit(edit);
+                await replaceDocumentText(document, text, cleanResult.cleanCode);
 
                 progress.report({ increment: 10, message: 'Finalizing...' });
 
                 const duration = Date.now() - startTime;
-                const report = cleaner.generateCleanupReport(text, cleanResult);
+                const report = cleaner.generateCleanupReport(text, cleanResult, parser.suppressedStatements);
 
                 UserFeedback.success(
-                    `Cleaned ${fileName}: Removed ${cleanResult.removedCount} debug statement(s)`,
-                    `Lines reduced: ${report.linesReduced}\nDuration: ${(duration / 1000).toFixed(2)}s`
+                    `Cleaned ${fileName}: ${cleaner.describeAction().past} ${cleanResult.removedCount} debug statement(s)`,
+                    `Lines reduced: ${report.linesReduced}\nDuration: ${(duration / 1000).toFixed(2)}s` +
+                        (report.suppressedCount > 0 ? `\n${describeSuppressions(report.suppressedStatements)}` : '') +
+                        (report.skippedCount > 0 ? `\n${describeSkipped(report.skippedStatements)}` : '') +
+                        (report.unusedBindingCount > 0 ? `\n${describeUnusedBindings(report.unusedBindings)}` : '')
                 );
 
                 if (config.autoSave) {
@@ -269,21 +361,12 @@ function activate(context) {
                 title: "Cleaning workspace debug statements...",
                 cancellable: true
             }, async (progress, token) => {
-                let totalFiles = 0;
-                let processedFiles = 0;
-                let skippedFiles = 0;
-                let totalRemovedStatements = 0;
-                let errors = 0;
-                const errorDetails = [];
-
                 try {
                     // Get all supported files in workspace
                     const filePattern = getFilePattern(config.includeFileTypes);
                     const files = await vscode.workspace.findFiles(filePattern, getExcludePattern(config.excludePatterns));
 
-                    totalFiles = files.length;
-
-                    if (totalFiles === 0) {
+                    if (files.length === 0) {
                         UserFeedback.warning(
                             'No supported files found in workspace',
                             'Check your includeFileTypes and excludePatterns settings.'
@@ -291,100 +374,14 @@ function activate(context) {
                         return;
                     }
 
-                    progress.report({ increment: 0, message: `Found ${totalFiles} files to process` });
-
-                    for (const fileUri of files) {
-                        if (token.isCancellationRequested) {
-                            break;
-                        }
-
-                        const fileName = fileUri.fsPath.split('\\').pop() || fileUri.fsPath.split('/').pop();
-
-                        try {
-                            // Additional validation for excluded files
-                            if (ValidationHelper.shouldExcludeFile(fileUri.fsPath, config.excludePatterns)) {
-                                skippedFiles++;
-                                continue;
-                            }
-
-                            const document = await vscode.workspace.openTextDocument(fileUri);
-                            const text = document.getText();
-
-                            const parser = new DebugStatementParser();
-                            let statements;
-
-                            try {
-                                statements = parser.parseCode(text, document.fileName);
-                            } catch (parseError) {
-                                // Try fallback parsing
-                                try {
-                                    statements = parser.fallbackRegexParse(text);
-                                } catch (fallbackError) {
-                                    errors++;
-                                    errorDetails.push({
-                                        file: fileName,
-                                        error: ErrorHandler.handleParseError(fallbackError, fileUri.fsPath)
-                                    });
-                                    continue;
-                                }
-                            }
-
-                            if (statements.length > 0) {
-                                const cleaner = new CodeCleaner(config);
-                                const cleanResult = cleaner.removeDebugStatements(text, statements);
-
-                                if (cleanResult.removedCount > 0) {
-                                    const edit = new vscode.WorkspaceEdit();
-                                    const fullRange = new vscode.Range(
-                                        document.positionAt(0),
-                                        document.positionAt(text.length)
-                                    );
-                                    edit.replace(fileUri, fullRange, cleanResult.cleanCode);
-                                    await vscode.workspace.applyEdit(edit);
-
-                                    totalRemovedStatements += cleanResult.removedCount;
-
-                                    if (config.autoSave) {
-                                        await document.save();
-                                    }
-                                }
-                            }
-
-                        } catch (fileError) {
-                            errors++;
-                            errorDetails.push({
-                                file: fileName,
-                                error: ErrorHandler.handleFileError(fileError, fileUri.fsPath)
-                            });
-                        }
-
-                        processedFiles++;
-                        const progressPercent = Math.round((processedFiles / totalFiles) * 100);
-                        progress.report({
-                            increment: progressPercent - Math.round(((processedFiles - 1) / totalFiles) * 100),
-                            message: `Processing ${fileName} (${processedFiles}/${totalFiles})`
-                        });
-                    }
-
-                    const duration = Date.now() - startTime;
-
-                    if (!token.isCancellationRequested) {
-                        UserFeedback.showCleanupSummary({
-                            processedFiles,
-                            totalFiles,
-                            removedStatements: totalRemovedStatements,
-                            skippedFiles,
-                            errors,
-                            duration
-                        });
-
-                        // Log error details if any
-                        if (errors > 0) {
-                            console.log('Workspace cleanup errors:', errorDetails);
-                        }
-                    } else {
-                        UserFeedback.warning('Workspace cleanup was cancelled');
-                    }
+                    await cleanFiles(files, {
+                        label: 'Clean Workspace',
+                        description: 'Workspace cleanup',
+                        config,
+                        progress,
+                        token,
+                        startTime
+                    });
 
                 } catch (error) {
                     const errorInfo = ErrorHandler.handleWorkspaceError(error, 'cleanup');
@@ -401,6 +398,66 @@ function activate(context) {
         }
     });
 
+    // The explorer passes the clicked item and every selected item; the editor title passes only its file
+    let cleanFolderOrFilesCommand = vscode.commands.registerCommand('debug-cleanup-pro.cleanFolderOrFiles', async function (uri, selectedUris) {
+        const startTime = Date.now();
+
+        try {
+            let targets = Array.isArray(selectedUris) && selectedUris.length > 0 ? selectedUris : (uri ? [uri] : []);
+
+            if (targets.length === 0) {
+                targets = await vscode.window.showOpenDialog({
+                    canSelectFiles: true,
+                    canSelectFolders: true,
+                    canSelectMany: true,
+                    openLabel: 'Clean'
+                }) || [];
+            }
+
+            if (targets.length === 0) {
+                return;
+            }
+
+            const config = getConfiguration();
+
+            return vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: "Cleaning debug statements...",
+                cancellable: true
+            }, async (progress, token) => {
+                try {
+                    const files = await collectFiles(targets, config);
+
+                    if (files.length === 0) {
+                        UserFeedback.warning(
+                            'No supported files found in the selected folders or files',
+                            'Check your includeFileTypes and excludePatterns settings.'
+                        );
+                        return;
+                    }
+
+                    await cleanFiles(files, {
+                        label: 'Clean Folder/Files',
+                        description: 'Folder cleanup',
+                        config,
+                        progress,
+                        token,
+                        startTime
+                    });
+
+                } catch (error) {
+                    const errorInfo = ErrorHandler.handleWorkspaceError(error, 'cleanup');
+                    ErrorHandler.showError(errorInfo);
+                }
+            });
+
+        } catch (error) {
+            ErrorHandler.showError(ErrorHandler.handleWorkspaceError(error, 'initialization'));
+        }
+    });
+
+    context.subscriptions.push(cleanFolderOrFilesCommand);
+
     let cleanSelectionCommand = vscode.commands.registerCommand('debug-cleanup-pro.cleanSelection', async function () {
         return vscode.window.withProgress({
             location: vscode.ProgressLocation.Window,
@@ -413,13 +470,14 @@ function activate(context) {
                 ValidationHelper.validateEditor(vscode.window.activeTextEditor);
 
                 const editor = vscode.window.activeTextEditor;
-                const selection = editor.selection;
+                const selections = editor.selections.filter(selection => !selection.isEmpty);
 
-                ValidationHelper.validateSelection(selection);
+                ValidationHelper.validateSelection(selections[0]);
 
                 const document = editor.document;
-                const selectedText = document.getText(selection);
+                const text = document.getText();
                 const filePath = document.fileName;
+                const fileName = filePath.split('\\').pop() || filePath.split('/').pop();
 
                 progress.report({ increment: 20, message: 'Analyzing selection...' });
 
@@ -434,19 +492,20 @@ function activate(context) {
                     return;
                 }
 
-                progress.report({ increment: 40, message: 'Parsing selected code...' });
+                progress.report({ increment: 40, message: 'Parsing document...' });
 
-                const parser = new DebugStatementParser();
+                // The whole document is parsed so a selection starting mid-function or mid-JSX still parses
+                const parser = new DebugStatementParser(config);
                 let statements;
 
                 try {
-                    statements = parser.parseCode(selectedText, filePath);
+                    statements = parser.parseCode(text, filePath, document.languageId);
                 } catch (parseError) {
                     const errorInfo = ErrorHandler.handleParseError(parseError, filePath);
                     UserFeedback.warning(errorInfo.message, errorInfo.suggestion);
 
                     try {
-                        statements = parser.fallbackRegexParse(selectedText);
+                        statements = parser.fallbackRegexParse(text);
                         progress.report({ increment: 20, message: 'Using fallback parsing...' });
                     } catch (fallbackError) {
                         ErrorHandler.showError(ErrorHandler.handleParseError(fallbackError, filePath));
@@ -454,36 +513,70 @@ function activate(context) {
                     }
                 }
 
-                if (statements.length === 0) {
-                    UserFeedback.success('No debug statements found in selection');
+                const ranges = selections.map(selection => ({
+                    start: document.offsetAt(selection.start),
+                    end: document.offsetAt(selection.end)
+                }));
+                const selectedStatements = selectStatementsInRanges(statements, ranges, config.selectionOverlap);
+
+                if (selectedStatements.length === 0) {
+                    UserFeedback.success(
+                        'No debug statements found in selection',
+                        describeSuppressions(parser.suppressedStatements.filter(statement =>
+                            selectStatementsInRanges([statement], ranges, config.selectionOverlap).length > 0
+                        ))
+                    );
                     return;
                 }
 
                 progress.report({ increment: 30, message: 'Cleaning debug statements...' });
 
                 const cleaner = new CodeCleaner(config);
-                const cleanResult = cleaner.removeDebugStatements(selectedText, statements);
+                // Whitespace outside the selections is left as it is
+                const selectionCleaner = new CodeCleaner({ ...config, cleanWhitespace: false });
+                const cleanResult = selectionCleaner.removeSelectedStatements(
+                    text,
+                    cleaner.expandGroupPairs(cleaner.filterStatementsByConfig(selectedStatements), statements)
+                );
 
                 if (cleanResult.removedCount === 0) {
                     UserFeedback.success(
                         'No debug statements to clean in selection',
-                        'All found debug statements are disabled in your configuration settings.'
+                        cleanResult.skippedStatements.length > 0
+                            ? describeSkipped(cleaner.generateCleanupReport(text, cleanResult).skippedStatements)
+                            : 'All found debug statements are disabled in your configuration settings.'
                     );
                     return;
                 }
 
-                const edit = new vscode.WorkspaceEdit();
-                edit.replace(document.uri, selection, cleanResult.cleanCode);
+                const syntaxError = parser.validateCleanup(text, cleanResult, filePath, document.languageId);
+                if (syntaxError) {
+                    ErrorHandler.showError(ErrorHandler.handleValidationError(syntaxError, fileName));
+                    return;
+                }
+
+                if (config.showPreview) {
+                    const proceed = await confirmWithPreview(document, text, cleanResult.cleanCode, cleanResult);
+
+                    if (!proceed) {
+                        UserFeedback.statusBarMessage('Cleanup cancelled');
+                        return;
+                    }
+                }
 
-                await vscode.workspace.applyEdit(edit);
+                // Every selection is cleaned in one edit, so a single undo restores them all
+                await replaceDocumentText(document, text, cleanResult.cleanCode);
 
                 progress.report({ increment: 10, message: 'Finalizing...' });
 
                 const duration = Date.now() - startTime;
+                const report = cleaner.generateCleanupReport(text, cleanResult);
 
                 UserFeedback.success(
-                    `Cleaned selection: Removed ${cleanResult.removedCount} debug statement(s)`,
-                    `Duration: ${(duration / 1000).toFixed(2)}s`
+                    `Cleaned ${selections.length > 1 ? `${selections.length} selections` : 'selection'}: ` +
+                        `${cleaner.describeAction().past} ${cleanResult.removedCount} debug statement(s)`,
+                    `Duration: ${(duration / 1000).toFixed(2)}s` +
+                        (report.skippedCount > 0 ? `\n${describeSkipped(report.skippedStatements)}` : '')
                 );
 
                 if (config.autoSave) {
@@ -507,49 +600,849 @@ function activate(context) {
         });
     });
 
-    function getFilePattern(includeFileTypes) {
-        if (!includeFileTypes || includeFileTypes.length === 0) {
-            return '**/*.{js,ts,jsx,tsx,java,py}';
+    let pickStatementsCommand = vscode.commands.registerCommand('debug-cleanup-pro.pickStatements', async function () {
+        try {
+            ValidationHelper.validateEditor(vscode.window.activeTextEditor);
+
+            const editor = vscode.window.activeTextEditor;
+            const document = editor.document;
+            const text = document.getText();
+            const filePath = document.fileName;
+            const fileName = filePath.split('\\').pop() || filePath.split('/').pop();
+            const config = getConfiguration();
+
+            if (!ValidationHelper.validateFileType(filePath, config.includeFileTypes)) {
+                UserFeedback.warning(
+                    `File type not supported: ${fileName}`,
+                    'Check the includeFileTypes setting to add support for this file type.'
+                );
+                return;
+            }
+
+            const parser = new DebugStatementParser(config);
+            const statements = parser.parseCode(text, filePath, document.languageId);
+
+            if (statements.length === 0) {
+                UserFeedback.success(
+                    `No debug statements found in ${fileName}`,
+                    describeSuppressions(parser.suppressedStatements)
+                );
+                return;
+            }
+
+            const cleaner = new CodeCleaner(config);
+            const enabledStatements = cleaner.filterStatementsByConfig(statements);
+
+            // Pre-check what the bulk commands would remove; the user adjusts from there
+            const items = statements.map(statement => ({
+                label: `Line ${statement.line}: ${statement.type}${statement.sideEffects ? ' $(warning) side effects' : ''}`,
+                description: statement.text.split('\n')[0],
+                detail: statement.lineContent,
+                picked: enabledStatements.includes(statement),
+                statement
+            }));
+
+            const originalSelection = editor.selection;
+            const originalRange = editor.visibleRanges[0];
+
+            const picked = await UserFeedback.showQuickPick(items, 'Select debug statements to remove', {
+                canPickMany: true,
+                onDidChangeActive: item => {
+                    const range = new vscode.Range(
+                        document.positionAt(item.statement.start),
+                        document.positionAt(item.statement.end)
+                    );
+                    editor.selection = new vscode.Selection(range.start, range.end);
+                    editor.revealRange(range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+                }
+            });
+
+            if (!picked || picked.length === 0) {
+                editor.selection = originalSelection;
+                if (originalRange) {
+                    editor.revealRange(originalRange, vscode.TextEditorRevealType.AtTop);
+                }
+                UserFeedback.statusBarMessage('Cleanup cancelled');
+                return;
+            }
+
+            const cleanResult = cleaner.removeSelectedStatements(
+                text,
+                cleaner.expandGroupPairs(picked.map(item => item.statement), statements),
+                parser.bindingDeclarations
+            );
+
+            const syntaxError = parser.validateCleanup(text, cleanResult, document.fileName, document.languageId);
+            if (syntaxError) {
+                ErrorHandler.showError(ErrorHandler.handleValidationError(syntaxError, fileName));
+                return;
+            }
+
+            if (config.showPreview) {
+                const proceed = await confirmWithPreview(document, text, cleanResult.cleanCode, cleanResult);
+
+                if (!proceed) {
+                    UserFeedback.statusBarMessage('Cleanup cancelled');
+                    return;
+                }
+            }
+
+            await replaceDocumentText(document, text, cleanResult.cleanCode);
+
+            UserFeedback.success(`Cleaned ${fileName}: ${cleaner.describeAction().past} ${cleanResult.removedCount} selected debug statement(s)`);
+
+            if (config.autoSave) {
+                await document.save();
+                UserFeedback.statusBarMessage('File saved automatically');
+            }
+
+        } catch (error) {
+            const errorInfo = error.message.includes('No active editor')
+                ? { type: 'validation', message: error.message, suggestion: 'Open a file in the editor first.' }
+                : ErrorHandler.handleFileError(error, 'current file');
+
+            ErrorHandler.showError(errorInfo);
+        }
+    });
+
+    let convertToLoggerCommand = vscode.commands.registerCommand('debug-cleanup-pro.convertToLogger', async function () {
+        try {
+            ValidationHelper.validateEditor(vscode.window.activeTextEditor);
+
+            const document = vscode.window.activeTextEditor.document;
+            const text = document.getText();
+            const filePath = document.fileName;
+            const fileName = filePath.split('\\').pop() || filePath.split('/').pop();
+            const config = getConfiguration();
+
+            if (!ValidationHelper.validateFileType(filePath, config.includeFileTypes)) {
+                UserFeedback.warning(
+                    `File type not supported: ${fileName}`,
+                    'Check the includeFileTypes setting to add support for this file type.'
+                );
+                return;
+            }
+
+            const parser = new DebugStatementParser(config);
+            const statements = parser.parseCode(text, filePath, document.languageId);
+            const cleaner = new CodeCleaner(config);
+            const cleanResult = cleaner.convertToLogger(text, statements, parser.detectLanguage(filePath, document.languageId));
+
+            if (cleanResult.convertedCount === 0 && cleanResult.removedCount === 0) {
+                UserFeedback.success(
+                    `No debug statements to convert in ${fileName}`,
+                    cleanResult.skippedStatements.length > 0
+                        ? describeSkipped(cleaner.generateCleanupReport(text, cleanResult).skippedStatements, 'Not converted')
+                        : describeSuppressions(parser.suppressedStatements)
+                );
+                return;
+            }
+
+            const syntaxError = parser.validateCleanup(text, cleanResult, filePath, document.languageId);
+            if (syntaxError) {
+                ErrorHandler.showError(ErrorHandler.handleValidationError(syntaxError, fileName));
+                return;
+            }
+
+            if (config.showPreview) {
+                const proceed = await confirmWithPreview(document, text, cleanResult.cleanCode, cleanResult);
+
+                if (!proceed) {
+                    UserFeedback.statusBarMessage('Conversion cancelled');
+                    return;
+                }
+            }
+
+            await replaceDocumentText(document, text, cleanResult.cleanCode);
+
+            const report = cleaner.generateCleanupReport(text, cleanResult, parser.suppressedStatements);
+            UserFeedback.success(
+                `Converted ${cleanResult.convertedCount} debug statement(s) in ${fileName} to logger calls`,
+                [
+                    cleanResult.importAdded ? 'Added the logger import' : null,
+                    cleanResult.removedCount > 0 ? `Removed ${cleanResult.removedCount} debugger statement(s)` : null,
+                    report.skippedCount > 0 ? describeSkipped(report.skippedStatements, 'Not converted') : null
+                ].filter(Boolean).join('\n') || null
+            );
+
+            if (config.autoSave) {
+                await document.save();
+                UserFeedback.statusBarMessage('File saved automatically');
+            }
+
+        } catch (error) {
+            const errorInfo = error.message.includes('No active editor')
+                ? { type: 'validation', message: error.message, suggestion: 'Open a file in the editor first.' }
+                : ErrorHandler.handleFileError(error, 'current file');
+
+            ErrorHandler.showError(errorInfo);
+        }
+    });
+
+    let restoreCommentedCommand = vscode.commands.registerCommand('debug-cleanup-pro.restoreCommented', async function () {
+        try {
+            ValidationHelper.validateEditor(vscode.window.activeTextEditor);
+
+            const document = vscode.window.activeTextEditor.document;
+            const text = document.getText();
+            const fileName = document.fileName.split('\\').pop() || document.fileName.split('/').pop();
+            const config = getConfiguration();
+
+            const restoreResult = new CodeCleaner(config).restoreCommentedStatements(text);
+
+            if (restoreResult.restoredCount === 0) {
+                UserFeedback.success(`No commented debug statements found in ${fileName}`);
+                return;
+            }
+
+            await replaceDocumentText(document, text, restoreResult.cleanCode);
+
+            UserFeedback.success(`Restored ${restoreResult.restoredCount} commented debug statement(s) in ${fileName}`);
+
+            if (config.autoSave) {
+                await document.save();
+                UserFeedback.statusBarMessage('File saved automatically');
+            }
+
+        } catch (error) {
+            const errorInfo = error.message.includes('No active editor')
+                ? { type: 'validation', message: error.message, suggestion: 'Open a file in the editor first.' }
+                : ErrorHandler.handleFileError(error, 'current file');
+
+            ErrorHandler.showError(errorInfo);
         }
+    });
 
-        const extensions = [];
-        includeFileTypes.forEach(type => {
-            switch (type.toLowerCase()) {
-                case 'javascript':
-                    extensions.push('js');
-                    break;
-                case 'typescript':
-                    extensions.push('ts');
-                    break;
-                case 'javascriptreact':
-                    extensions.push('jsx');
-                    break;
-                case 'typescriptreact':
-                    extensions.push('tsx');
-                    break;
-                case 'java':
-                    extensions.push('java');
+    let cleanStagedCommand = vscode.commands.registerCommand('debug-cleanup-pro.cleanStaged', async function () {
+        try {
+            ValidationHelper.validateWorkspace();
+
+            const config = getConfiguration();
+            const cleaner = new StagedChangesCleaner(config, GitRepository.open(getActiveWorkspaceFolder().uri.fsPath));
+            const results = cleaner.analyze();
+
+            if (results.length === 0) {
+                UserFeedback.success('No debug statements found in staged changes');
+                return;
+            }
+
+            const findings = results.flatMap(({ filePath, statements }) =>
+                statements.map(statement => `${filePath}:${statement.line}: ${statement.text.split('\n')[0].trim()}`)
+            );
+
+            const choice = await vscode.window.showWarningMessage(
+                `Found ${findings.length} debug statement(s) in staged changes`,
+                { modal: true, detail: findings.join('\n') },
+                'Remove from Staged Changes'
+            );
+
+            if (choice !== 'Remove from Staged Changes') {
+                UserFeedback.statusBarMessage('Cleanup cancelled');
+                return;
+            }
+
+            const fixed = cleaner.fix(results);
+            const removed = fixed.reduce((total, result) => total + result.removedCount, 0);
+            const indexOnly = fixed.filter(result => !result.updatedWorkingTree).map(result => result.filePath);
+            const skipped = fixed.flatMap(({ filePath, skippedStatements }) => skippedStatements.map(statement =>
+                `${filePath}:${statement.line}: ${statement.text.split('\n')[0].trim()} (${statement.skipReason})`
+            ));
+
+            // These statements are still staged, so the commit would include them
+            if (skipped.length > 0) {
+                UserFeedback.warning(
+                    `Removed ${removed} debug statement(s), but ${skipped.length} in staged changes cannot be removed safely`,
+                    `Remove them by hand or mark them with a cleanup-keep comment:\n${skipped.join('\n')}`
+                );
+                return;
+            }
+
+            UserFeedback.success(
+                `Removed ${removed} debug statement(s) from ${fixed.length} staged file(s)`,
+                indexOnly.length > 0
+                    ? `Only the staged content was cleaned for files with unstaged changes:\n${indexOnly.join('\n')}`
+                    : null
+            );
+
+        } catch (error) {
+            ErrorHandler.showError(ErrorHandler.handleWorkspaceError(error, 'staged changes cleanup'));
+        }
+    });
+
+    let cleanChangedLinesCommand = vscode.commands.registerCommand('debug-cleanup-pro.cleanChangedLines', function () {
+        return cleanChangedLines(CHANGE_SOURCES.head);
+    });
+
+    let cleanChangedLinesSinceBranchCommand = vscode.commands.registerCommand('debug-cleanup-pro.cleanChangedLinesSinceBranch', function () {
+        return cleanChangedLines(CHANGE_SOURCES.branch);
+    });
+
+    let cleanUnstagedLinesCommand = vscode.commands.registerCommand('debug-cleanup-pro.cleanUnstagedLines', function () {
+        return cleanChangedLines(CHANGE_SOURCES.workingTree);
+    });
+
+    async function cleanChangedLines(source) {
+        const startTime = Date.now();
+
+        try {
+            ValidationHelper.validateWorkspace();
+
+            const config = getConfiguration();
+            const repository = GitRepository.open(getActiveWorkspaceFolder().uri.fsPath);
+            const filter = new ChangedLinesFilter(config);
+            let ref = null;
+
+            if (source === CHANGE_SOURCES.branch) {
+                const branch = await UserFeedback.showQuickPick(
+                    repository.getBranches().map(name => ({ label: name })),
+                    'Clean lines changed since the merge base with...'
+                );
+                if (!branch) {
+                    UserFeedback.statusBarMessage('Cleanup cancelled');
+                    return;
+                }
+                ref = branch.label;
+            }
+
+            const changedFiles = filter.collect(repository, source, ref);
+
+            if (changedFiles.size === 0) {
+                UserFeedback.success('No changed lines found in supported files');
+                return;
+            }
+
+            let processedFiles = 0;
+            let skippedFiles = 0;
+            let totalRemovedStatements = 0;
+            let errors = 0;
+            const rolledBackFiles = [];
+            const acceptedChanges = [];
+
+            for (const [filePath, lines] of changedFiles) {
+                try {
+                    const document = await vscode.workspace.openTextDocument(vscode.Uri.file(path.join(repository.root, filePath)));
+
+                    // Hunks describe the file on disk, so unsaved edits would shift every line number
+                    if (document.isDirty) {
+                        skippedFiles++;
+                        continue;
+                    }
+
+                    const text = document.getText();
+                    const parser = new DebugStatementParser(config);
+                    const statements = filter.selectStatements(
+                        parser.parseCode(text, document.fileName, document.languageId),
+                        lines
+                    );
+
+                    processedFiles++;
+                    if (statements.length === 0) {
+                        continue;
+                    }
+
+                    // Whitespace cleaning rewrites the whole file, which is exactly the diff noise this avoids
+                    const cleaner = new CodeCleaner({ ...config, cleanWhitespace: false });
+                    const cleanResult = cleaner.removeDebugStatements(text, statements);
+                    if (cleanResult.removedCount === 0) {
+                        continue;
+                    }
+
+                    const syntaxError = parser.validateCleanup(text, cleanResult, document.fileName, document.languageId);
+                    if (syntaxError) {
+                        rolledBackFiles.push({ file: filePath, error: ErrorHandler.handleValidationError(syntaxError, filePath) });
+                        continue;
+                    }
+
+                    if (config.showPreview && !await confirmWithPreview(document, text, cleanResult.cleanCode, cleanResult)) {
+                        skippedFiles++;
+                        continue;
+                    }
+
+                    acceptedChanges.push({ document, text, cleanResult });
+                } catch (fileError) {
+                    errors++;
+                    ErrorHandler.logError(fileError, filePath);
+                }
+            }
+
+            if (acceptedChanges.length > 0) {
+                if (!await applyCleanupChanges(acceptedChanges, 'Clean Changed Lines', config)) {
+                    UserFeedback.error('Changed lines cleanup could not be applied. No files were changed.');
+                    return;
+                }
+
+                totalRemovedStatements = acceptedChanges.reduce(
+                    (total, change) => total + change.cleanResult.removedCount, 0
+                );
+            }
+
+            UserFeedback.showCleanupSummary({
+                processedFiles,
+                totalFiles: changedFiles.size,
+                removedStatements: totalRemovedStatements,
+                skippedFiles,
+                rolledBackFiles,
+                errors,
+                duration: Date.now() - startTime
+            });
+
+        } catch (error) {
+            ErrorHandler.showError(ErrorHandler.handleWorkspaceError(error, 'changed lines cleanup'));
+        }
+    }
+
+    let revertLastCleanupCommand = vscode.commands.registerCommand('debug-cleanup-pro.revertLastCleanup', async function () {
+        try {
+            const entry = cleanupHistory.getLast();
+
+            if (!entry) {
+                UserFeedback.warning('No cleanup to revert', 'Only workspace and changed lines cleanups are recorded in the history.');
+                return;
+            }
+
+            const documents = new Map();
+            const missingFiles = [];
+
+            for (const file of entry.files) {
+                try {
+                    documents.set(file.uri, await vscode.workspace.openTextDocument(vscode.Uri.parse(file.uri)));
+                } catch (openError) {
+                    missingFiles.push(file);
+                }
+            }
+
+            const when = new Date(entry.timestamp).toLocaleString();
+            const modifiedFiles = CleanupHistory.getModifiedFiles(
+                entry,
+                uri => documents.has(uri) ? documents.get(uri).getText() : null
+            );
+
+            let filesToRevert = entry.files.filter(file => documents.has(file.uri));
+
+            if (modifiedFiles.length > 0) {
+                const choice = await vscode.window.showWarningMessage(
+                    `${modifiedFiles.length} file(s) changed after "${entry.label}" (${when}). Reverting them discards those changes.`,
+                    { modal: true, detail: modifiedFiles.map(file => vscode.Uri.parse(file.uri).fsPath).join('\n') },
+                    'Revert All',
+                    'Skip Changed Files'
+                );
+
+                if (!choice) {
+                    UserFeedback.statusBarMessage('Revert cancelled');
+                    return;
+                }
+
+                if (choice === 'Skip Changed Files') {
+                    filesToRevert = filesToRevert.filter(file => !modifiedFiles.includes(file));
+                }
+            } else {
+                const proceed = await UserFeedback.confirm(
+                    `Revert "${entry.label}" from ${when}? This restores ${filesToRevert.length} file(s).`,
+                    'Revert',
+                    'Cancel'
+                );
+
+                if (!proceed) {
+                    UserFeedback.statusBarMessage('Revert cancelled');
+                    return;
+                }
+            }
+
+            const edit = new vscode.WorkspaceEdit();
+            filesToRevert.forEach(file => {
+                const document = documents.get(file.uri);
+                edit.replace(
+                    document.uri,
+                    new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length)),
+                    file.originalText
+                );
+            });
+
+            // Remember which files were clean on disk so they end up saved again after the revert
+            const savedDocuments = filesToRevert
+                .map(file => documents.get(file.uri))
+                .filter(document => !document.isDirty && !document.isUntitled);
+
+            if (!await vscode.workspace.applyEdit(edit)) {
+                UserFeedback.error('Revert could not be applied. No files were changed.');
+                return;
+            }
+
+            await Promise.all(savedDocuments.map(document => document.save()));
+            await cleanupHistory.remove(entry.id);
+
+            UserFeedback.success(
+                `Reverted "${entry.label}": restored ${filesToRevert.length} file(s)`,
+                missingFiles.length > 0
+                    ? `Could not open ${missingFiles.length} file(s):\n${missingFiles.map(file => vscode.Uri.parse(file.uri).fsPath).join('\n')}`
+                    : null
+            );
+
+        } catch (error) {
+            ErrorHandler.showError(ErrorHandler.handleWorkspaceError(error, 'revert last cleanup'));
+        }
+    });
+
+    // The file is parsed again, since it may have changed since the tree was built
+    async function cleanFromTree(node, clean) {
+        const filePath = node.filePath;
+        const fileName = path.basename(filePath);
+
+        try {
+            const config = getConfiguration();
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.file(filePath));
+            const text = document.getText();
+            const parser = new DebugStatementParser(config);
+            const cleaner = new CodeCleaner(config);
+            const statements = parser.parseCode(text, document.fileName, document.languageId);
+            const cleanResult = clean({ config, cleaner, parser, text, statements });
+
+            if (cleanResult.removedCount === 0) {
+                UserFeedback.warning(
+                    `No debug statements to clean in ${fileName}`,
+                    cleanResult.skippedStatements.length > 0
+                        ? describeSkipped(cleaner.generateCleanupReport(text, cleanResult).skippedStatements)
+                        : 'The file changed since the tree was last refreshed.'
+                );
+                statementTreeProvider.refreshDocument(document);
+                return;
+            }
+
+            const syntaxError = parser.validateCleanup(text, cleanResult, document.fileName, document.languageId);
+            if (syntaxError) {
+                ErrorHandler.showError(ErrorHandler.handleValidationError(syntaxError, fileName));
+                return;
+            }
+
+            if (config.showPreview && !await confirmWithPreview(document, text, cleanResult.cleanCode, cleanResult)) {
+                UserFeedback.statusBarMessage('Cleanup cancelled');
+                return;
+            }
+
+            await replaceDocumentText(document, text, cleanResult.cleanCode);
+
+            if (config.autoSave) {
+                await document.save();
+            }
+
+            statementTreeProvider.refreshDocument(document);
+            UserFeedback.statusBarMessage(
+                `${cleaner.describeAction().past} ${cleanResult.removedCount} debug statement(s) in ${fileName}`
+            );
+        } catch (error) {
+            ErrorHandler.showError(ErrorHandler.handleFileError(error, filePath));
+        }
+    }
+
+    // Folders are searched with the same patterns as Clean Workspace; files selected directly only need a supported type
+    async function collectFiles(uris, config) {
+        // Keyed by URI, since a file may be selected alongside the folder that contains it
+        const files = new Map();
+
+        for (const uri of uris) {
+            const stat = await vscode.workspace.fs.stat(uri);
+
+            if (stat.type & vscode.FileType.Directory) {
+                const found = await vscode.workspace.findFiles(
+                    new vscode.RelativePattern(uri, getFilePattern(config.includeFileTypes)),
+                    getExcludePattern(config.excludePatterns)
+                );
+                found.forEach(file => files.set(file.toString(), file));
+            } else if (ValidationHelper.validateFileType(uri.fsPath, config.includeFileTypes)) {
+                files.set(uri.toString(), uri);
+            }
+        }
+
+        return [...files.values()].filter(file => file.scheme === 'file');
+    }
+
+    // Scans the files in the worker pool, reviews and applies the changes as one edit, then shows the summary
+    async function cleanFiles(files, { label, description, config, progress, token, startTime }) {
+        const totalFiles = files.length;
+        let processedFiles = 0;
+        let skippedFiles = 0;
+        let totalRemovedStatements = 0;
+        let totalSuppressedStatements = 0;
+        let errors = 0;
+        const errorDetails = [];
+        const rolledBackFiles = [];
+        const pendingChanges = [];
+
+        progress.report({ increment: 0, message: `Found ${totalFiles} files to process` });
+
+        const filePaths = [];
+        for (const fileUri of files) {
+            // Additional validation for excluded files
+            if (ValidationHelper.shouldExcludeFile(fileUri.fsPath, config.excludePatterns)) {
+                skippedFiles++;
+                processedFiles++;
+            } else {
+                filePaths.push(fileUri.fsPath);
+            }
+        }
+
+        // Open editors may hold unsaved edits, so their text is scanned instead of the file on disk
+        const openTexts = new Map(vscode.workspace.textDocuments
+            .filter(document => document.uri.scheme === 'file')
+            .map(document => [document.uri.fsPath, document.getText()]));
+
+        let reported = 0;
+        const scanner = new WorkspaceScanner(config, scanCache);
+        const { results } = await scanner.scan(filePaths, {
+            openTexts,
+            token,
+            onProgress: (filePath, completed) => {
+                const fileName = path.basename(filePath);
+                const progressPercent = Math.round(((processedFiles + completed) / totalFiles) * 100);
+                progress.report({
+                    increment: progressPercent - reported,
+                    message: `Processing ${fileName} (${processedFiles + completed}/${totalFiles})`
+                });
+                reported = progressPercent;
+            }
+        });
+
+        processedFiles += results.length;
+
+        for (const result of results) {
+            const fileName = path.basename(result.filePath);
+
+            if (result.error) {
+                const error = Object.assign(new Error(result.error.message), { code: result.error.code });
+                errors++;
+                errorDetails.push({
+                    file: fileName,
+                    error: result.error.stage === 'parse'
+                        ? ErrorHandler.handleParseError(error, result.filePath)
+                        : ErrorHandler.handleFileError(error, result.filePath)
+                });
+                continue;
+            }
+
+            totalSuppressedStatements += result.suppressedCount;
+
+            // Nothing is written until every file has been processed
+            if (result.syntaxError) {
+                rolledBackFiles.push({
+                    file: fileName,
+                    error: ErrorHandler.handleValidationError(result.syntaxError, fileName)
+                });
+            } else if (result.removedCount > 0 && !token.isCancellationRequested) {
+                // Only files that will change are opened, and only if they still match what was scanned
+                try {
+                    const document = await vscode.workspace.openTextDocument(vscode.Uri.file(result.filePath));
+                    if (document.getText() !== result.text) {
+                        throw new Error('The file changed while it was being scanned');
+                    }
+                    pendingChanges.push({ document, text: result.text, cleanResult: result.cleanResult });
+                } catch (fileError) {
+                    errors++;
+                    errorDetails.push({
+                        file: fileName,
+                        error: ErrorHandler.handleFileError(fileError, result.filePath)
+                    });
+                }
+            }
+        }
+
+        const acceptedChanges = [];
+        let reviewCancelled = false;
+
+        if (pendingChanges.length > 0 && !token.isCancellationRequested && config.showPreview) {
+            progress.report({ message: `Reviewing ${pendingChanges.length} changed files...` });
+
+            let applyAll = false;
+            for (const [index, change] of pendingChanges.entries()) {
+                if (token.isCancellationRequested) {
                     break;
-                case 'python':
-                    extensions.push('py');
+                }
+
+                const { document, text, cleanResult } = change;
+                const fileName = document.fileName.split('\\').pop() || document.fileName.split('/').pop();
+                let choice = 'Apply';
+
+                if (!applyAll) {
+                    choice = await previewProvider.review(document.uri, text, cleanResult.cleanCode, {
+                        title: `${fileName} (${index + 1}/${pendingChanges.length}): Debug Cleanup Preview`,
+                        message: describePreview(fileName, cleanResult),
+                        actions: ['Apply', 'Discard', 'Apply All', 'Cancel']
+                    });
+                }
+
+                if (choice === 'Apply All') {
+                    applyAll = true;
+                    choice = 'Apply';
+                }
+
+                if (choice === 'Cancel') {
+                    reviewCancelled = true;
                     break;
-                default:
-                    extensions.push(type);
+                }
+
+                if (choice !== 'Apply') {
+                    skippedFiles++;
+                    continue;
+                }
+
+                acceptedChanges.push(change);
+            }
+        } else {
+            acceptedChanges.push(...pendingChanges);
+        }
+
+        if (token.isCancellationRequested || reviewCancelled) {
+            UserFeedback.warning(`${description} was cancelled`, 'No files were changed.');
+            return;
+        }
+
+        if (acceptedChanges.length > 0) {
+            progress.report({ message: `Applying changes to ${acceptedChanges.length} files...` });
+
+            const applied = await applyCleanupChanges(acceptedChanges, label, config);
+            if (!applied) {
+                ErrorHandler.showError({
+                    type: 'operation',
+                    message: `${description} could not be applied. No files were changed.`,
+                    suggestion: 'A file may have been modified during cleanup. Run the command again.'
+                });
+                return;
             }
+
+            totalRemovedStatements = acceptedChanges.reduce(
+                (total, change) => total + change.cleanResult.removedCount, 0
+            );
+        }
+
+        const duration = Date.now() - startTime;
+
+        UserFeedback.showCleanupSummary({
+            processedFiles,
+            totalFiles,
+            removedStatements: totalRemovedStatements,
+            suppressedStatements: totalSuppressedStatements,
+            skippedFiles,
+            rolledBackFiles,
+            errors,
+            duration
+        });
+
+        // Log error details if any
+        if (errors > 0) {
+            console.log(`${description} errors:`, errorDetails);
+        }
+    }
+
+    async function applyCleanupChanges(changes, label, config) {
+        // One WorkspaceEdit for every file: it applies completely or not at all, and undoes as a unit
+        const edit = new vscode.WorkspaceEdit();
+        changes.forEach(({ document, text, cleanResult }) => {
+            edit.replace(
+                document.uri,
+                new vscode.Range(document.positionAt(0), document.positionAt(text.length)),
+                cleanResult.cleanCode
+            );
+        });
+
+        if (!await vscode.workspace.applyEdit(edit)) {
+            return false;
+        }
+
+        await cleanupHistory.record(label, changes.map(({ document, text, cleanResult }) => ({
+            uri: document.uri.toString(),
+            originalText: text,
+            cleanText: cleanResult.cleanCode
+        })));
+
+        if (config.autoSave) {
+            await Promise.all(changes.map(({ document }) => document.save()));
+        }
+
+        return true;
+    }
+
+    function getActiveWorkspaceFolder() {
+        const activeUri = vscode.window.activeTextEditor?.document.uri;
+        return (activeUri && vscode.workspace.getWorkspaceFolder(activeUri)) ||
+            vscode.workspace.workspaceFolders[0];
+    }
+
+    async function replaceDocumentText(document, originalText, newText) {
+        const edit = new vscode.WorkspaceEdit();
+        const fullRange = new vscode.Range(
+            document.positionAt(0),
+            document.positionAt(originalText.length)
+        );
+        edit.replace(document.uri, fullRange, newText);
+
+        return vscode.workspace.applyEdit(edit);
+    }
+
+    async function confirmWithPreview(document, originalText, cleanText, cleanResult) {
+        const fileName = document.fileName.split('\\').pop() || document.fileName.split('/').pop();
+        const choice = await previewProvider.review(document.uri, originalText, cleanText, {
+            title: `${fileName}: Debug Cleanup Preview`,
+            message: describePreview(fileName, cleanResult),
+            actions: ['Apply', 'Discard']
         });
 
-        return `**/*.{${extensions.join(',')}}`;
+        return choice === 'Apply';
+    }
+
+    function describePreview(fileName, cleanResult) {
+        if (cleanResult.convertedCount !== undefined) {
+            return `Convert ${cleanResult.convertedCount} debug statement(s) in ${fileName} to logger calls?` +
+                (cleanResult.removedCount > 0 ? ` ${cleanResult.removedCount} debugger statement(s) will be removed.` : '');
+        }
+
+        const action = new CodeCleaner(getConfiguration()).describeAction();
+        const message = `${action.verb} ${cleanResult.removedCount} debug statement(s) in ${fileName}?`;
+        const withSideEffects = cleanResult.removedStatements.filter(statement => statement.sideEffects);
+        if (withSideEffects.length === 0) {
+            return message;
+        }
+
+        const extracted = withSideEffects.filter(statement => statement.sideEffectHandling === 'extract');
+        const lost = withSideEffects.filter(statement => statement.sideEffectHandling === 'remove');
+        const lines = statements => statements.map(statement => statement.line).join(', ');
+
+        return message +
+            (extracted.length > 0 ? ` Side effects in the arguments on line(s) ${lines(extracted)} are kept as separate statements.` : '') +
+            (lost.length > 0 ? ` Warning: the arguments on line(s) ${lines(lost)} have side effects that will be removed too.` : '');
     }
 
-    function getExcludePattern(excludePatterns) {
-        if (!excludePatterns || excludePatterns.length === 0) {
-            return '**/node_modules/**';
+    function describeSuppressions(suppressedStatements) {
+        if (!suppressedStatements || suppressedStatements.length === 0) {
+            return null;
         }
-        return `{${excludePatterns.join(',')}}`;
+
+        const lines = suppressedStatements.map(statement =>
+            `Line ${statement.line} (${statement.suppression}): ${statement.text.split('\n')[0]}`
+        );
+        return `Kept by suppression comments: ${suppressedStatements.length}\n${lines.join('\n')}`;
+    }
+
+    function describeUnusedBindings(unusedBindings) {
+        const lines = unusedBindings.map(binding => `Line ${binding.line} (${binding.kind}): ${binding.names.join(', ')}`);
+        return `Unused declarations removed: ${unusedBindings.length}\n${lines.join('\n')}`;
+    }
+
+    function describeSkipped(skippedStatements, heading = 'Skipped because they cannot be removed safely') {
+        const lines = skippedStatements.map(statement =>
+            `Line ${statement.line}: ${statement.text.split('\n')[0]} (${statement.reason})`
+        );
+        return `${heading}: ${skippedStatements.length}\n${lines.join('\n')}`;
     }
 
     context.subscriptions.push(cleanWorkspaceCommand);
     context.subscriptions.push(cleanSelectionCommand);
+    context.subscriptions.push(pickStatementsCommand);
+    context.subscriptions.push(convertToLoggerCommand);
+    context.subscriptions.push(restoreCommentedCommand);
+    context.subscriptions.push(cleanStagedCommand);
+    context.subscriptions.push(cleanChangedLinesCommand);
+    context.subscriptions.push(cleanChangedLinesSinceBranchCommand);
+    context.subscriptions.push(cleanUnstagedLinesCommand);
+    context.subscriptions.push(revertLastCleanupCommand);
 }
 
 function deactivate() {}
@@ -0,0 +1,50 @@
+function getFilePattern(includeFileTypes) {
+    if (!includeFileTypes || includeFileTypes.length === 0) {
+        return '**/*.{js,ts,jsx,tsx,java,py}';
+    }
+
+    const extensions = [];
+    includeFileTypes.forEach(type => {
+        switch (type.toLowerCase()) {
+            case 'javascript':
+                extensions.push('js');
+                break;
+            case 'typescript':
+                extensions.push('ts');
+                break;
+            case 'javascriptreact':
+                extensions.push('jsx');
+                break;
+            case 'typescriptreact':
+                extensions.push('tsx');
+                break;
+            case 'java':
+                extensions.push('java');
+                break;
+            case 'python':
+                extensions.push('py');
+                break;
+            default:
+                extensions.push(type);
+        }
+    });
+
+    // Single-item braces are not expanded by every glob implementation
+    if (extensions.length === 1) {
+        return `**/*.${extensions[0]}`;
+    }
+
+    return `**/*.{${extensions.join(',')}}`;
+}
+
+function getExcludePattern(excludePatterns) {
+    if (!excludePatterns || excludePatterns.length === 0) {
+        return '**/node_modules/**';
+    }
+    return `{${excludePatterns.join(',')}}`;
+}
+
+module.exports = {
+    getFilePattern,
+    getExcludePattern
+};
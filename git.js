@@ -0,0 +1,111 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+class GitRepository {
+    constructor(root) {
+        this.root = root;
+    }
+
+    static open(cwd) {
+        let root;
+        try {
+            root = execFileSync('git', ['rev-parse', '--show-toplevel'], {
+                cwd,
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'ignore']
+            }).trim();
+        } catch (error) {
+            throw new Error(`Not a git repository: ${cwd}`);
+        }
+        return new GitRepository(root);
+    }
+
+    run(args, input) {
+        return execFileSync('git', args, {
+            cwd: this.root,
+            encoding: 'utf8',
+            input,
+            maxBuffer: 64 * 1024 * 1024,
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+    }
+
+    getChangedLines(diffArgs = []) {
+        // Zero context lines so every hunk covers exactly the added or modified lines
+        const output = this.run([
+            '-c', 'core.quotePath=false',
+            'diff', '--no-color', '--no-ext-diff', '-U0', '--diff-filter=ACMR',
+            '--src-prefix=a/', '--dst-prefix=b/',
+            ...diffArgs
+        ]);
+
+        return this.parseChangedLines(output);
+    }
+
+    parseChangedLines(diffOutput) {
+        const changedLines = new Map();
+        let currentLines = null;
+
+        diffOutput.split('\n').forEach(line => {
+            if (line.startsWith('+++ ')) {
+                const target = line.substring(4);
+                currentLines = target === '/dev/null' ? null : new Set();
+                if (currentLines) {
+                    changedLines.set(target.replace(/^b\//, ''), currentLines);
+                }
+                return;
+            }
+
+            const hunk = line.match(HUNK_HEADER);
+            if (hunk && currentLines) {
+                const start = parseInt(hunk[1], 10);
+                const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+                for (let i = 0; i < count; i++) {
+                    currentLines.add(start + i);
+                }
+            }
+        });
+
+        return changedLines;
+    }
+
+    getUntrackedFiles() {
+        return this.run(['-c', 'core.quotePath=false', 'ls-files', '--others', '--exclude-standard'])
+            .split('\n')
+            .filter(Boolean);
+    }
+
+    getBranches() {
+        return this.run(['for-each-ref', '--format=%(refname:short)', 'refs/heads', 'refs/remotes'])
+            .split('\n')
+            .filter(branch => branch && !branch.endsWith('/HEAD'));
+    }
+
+    getMergeBase(ref, other = 'HEAD') {
+        return this.run(['merge-base', ref, other]).trim();
+    }
+
+    getStagedContent(filePath) {
+        return this.run(['show', `:${filePath}`]);
+    }
+
+    getWorkingContent(filePath) {
+        const absolute = path.join(this.root, filePath);
+        return fs.existsSync(absolute) ? fs.readFileSync(absolute, 'utf8') : null;
+    }
+
+    writeWorkingContent(filePath, content) {
+        fs.writeFileSync(path.join(this.root, filePath), content);
+    }
+
+    writeStagedContent(filePath, content) {
+        const mode = this.run(['ls-files', '--stage', '--', filePath]).split(' ')[0] || '100644';
+        const blob = this.run(['hash-object', '-w', '--stdin'], content).trim();
+        this.run(['update-index', '--cacheinfo', `${mode},${blob},${filePath}`]);
+    }
+}
+
+module.exports = { GitRepository };
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+const HISTORY_KEY = 'debugCleanupPro.cleanupHistory';
+const DEFAULT_MAX_ENTRIES = 10;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+function hashText(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function getEntrySize(entry) {
+    return entry.files.reduce((total, file) => total + Buffer.byteLength(file.originalText), 0);
+}
+
+class CleanupHistory {
+    constructor(storage, maxEntries = DEFAULT_MAX_ENTRIES, maxBytes = DEFAULT_MAX_BYTES) {
+        // storage is a vscode.Memento (workspaceState) or anything with the same get/update shape
+        this.storage = storage;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+    }
+
+    getEntries() {
+        return this.storage.get(HISTORY_KEY, []);
+    }
+
+    getLast() {
+        const entries = this.getEntries();
+        return entries.length > 0 ? entries[entries.length - 1] : null;
+    }
+
+    async record(label, files) {
+        if (!files || files.length === 0) {
+            return null;
+        }
+
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            label,
+            timestamp: new Date().toISOString(),
+            // Reverting needs the original text; the cleaned text is only compared, so a hash is enough
+            files: files.map(({ uri, originalText, cleanText }) => ({ uri, originalText, cleanHash: hashText(cleanText) }))
+        };
+
+        // Whole-file snapshots add up quickly, so older runs are dropped by count and by total size.
+        // The newest run is always kept, so it can be reverted however large it is.
+        const entries = [...this.getEntries(), entry].slice(-this.maxEntries);
+        let size = entries.reduce((total, kept) => total + getEntrySize(kept), 0);
+        while (entries.length > 1 && size > this.maxBytes) {
+            size -= getEntrySize(entries.shift());
+        }
+        await this.storage.update(HISTORY_KEY, entries);
+
+        return entry;
+    }
+
+    async remove(id) {
+        const entries = this.getEntries().filter(entry => entry.id !== id);
+        await this.storage.update(HISTORY_KEY, entries);
+    }
+
+    async clear() {
+        await this.storage.update(HISTORY_KEY, []);
+    }
+
+    static getModifiedFiles(entry, getCurrentText) {
+        // Files edited after the cleanup would lose those edits on revert
+        return entry.files.filter(file => {
+            const currentText = getCurrentText(file.uri);
+            // Entries recorded before hashes were stored still hold the cleaned text
+            const cleanHash = file.cleanHash ?? hashText(file.cleanText);
+            return currentText !== null && hashText(currentText) !== cleanHash;
+        });
+    }
+}
+
+module.exports = {
+    CleanupHistory,
+    HISTORY_KEY
+};
@@ -0,0 +1,280 @@
+const { findUnbalancedBracket, findArgumentRanges } = require('./brackets');
+
+const SYSTEM_STREAM_METHODS = ['print', 'printf', 'println', 'format'];
+const CONTROL_KEYWORDS = ['if', 'while', 'for'];
+const BODY_KEYWORDS = ['else', 'do'];
+const STATEMENT_BOUNDARIES = [';', '{', '}', ':'];
+// Keywords whose parentheses are not a call, e.g. `return (String) value;`
+const PAREN_KEYWORDS = [...CONTROL_KEYWORDS, 'switch', 'catch', 'synchronized', 'try', 'return', 'throw', 'yield', 'case', 'assert'];
+// Names that may follow the parameter list of a declaration
+const DECLARATION_CLAUSES = ['throws', 'implements', 'extends', 'default'];
+
+const NAME = /[\p{L}_$][\p{L}\p{N}_$]*/uy;
+const NUMBER = /\d[\w.]*|\.\d\w*/y;
+
+class JavaDebugParser {
+    constructor(options = {}) {
+        this.loggerNames = options.loggerNames ?? ['log', 'logger', 'LOG', 'LOGGER'];
+        this.loggerLevels = options.loggerLevels ?? ['debug', 'trace'];
+        this.customMatcher = options.customMatcher ?? null;
+    }
+
+    parse(code) {
+        const tokens = this.tokenize(code);
+        const matches = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i].type !== 'name' || !this.isStatementStart(tokens[i - 1])) {
+                continue;
+            }
+
+            const result = this.matchDebugCall(tokens, i, code);
+            if (result) {
+                const { lastTokenIndex, ...match } = result;
+                matches.push(match);
+                i = lastTokenIndex;
+            }
+        }
+
+        return matches;
+    }
+
+    findSyntaxError(code) {
+        const tokens = this.tokenize(code);
+        const bracketError = findUnbalancedBracket(tokens);
+        if (bracketError) {
+            return bracketError;
+        }
+
+        for (let i = 0; i < tokens.length; i++) {
+            const next = tokens[i + 1];
+
+            // `if (x)` or `else` directly followed by `}` lost its only statement
+            if (this.isBareBody(tokens[i]) && tokens[i].value !== '->' && (!next || next.value === '}')) {
+                return { message: 'Expected a statement', start: tokens[i].end };
+            }
+
+            // `a() b();` lost the `;` between two statements
+            if (tokens[i].closesCall && next?.type === 'name' && !DECLARATION_CLAUSES.includes(next.value)) {
+                return { message: `Expected ';'`, start: tokens[i].end };
+            }
+
+            // `label:` needs a statement to label
+            if (this.isLabel(tokens, i) && (!tokens[i + 2] || tokens[i + 2].value === '}')) {
+                return { message: 'Expected a statement', start: next.end };
+            }
+        }
+
+        return null;
+    }
+
+    tokenize(code) {
+        const tokens = [];
+        const parenStack = [];
+        let i = 0;
+
+        while (i < code.length) {
+            const ch = code[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            if (code.startsWith('//', i)) {
+                const newline = code.indexOf('\n', i);
+                i = newline === -1 ? code.length : newline;
+                continue;
+            }
+
+            if (code.startsWith('/*', i)) {
+                const close = code.indexOf('*/', i + 2);
+                i = close === -1 ? code.length : close + 2;
+                continue;
+            }
+
+            if (code.startsWith('"""', i)) {
+                const end = this.scanLiteral(code, i + 3, '"""');
+                tokens.push({ type: 'string', value: code.substring(i, end), start: i, end });
+                i = end;
+                continue;
+            }
+
+            if (ch === '"' || ch === '\'') {
+                const end = this.scanLiteral(code, i + 1, ch);
+                tokens.push({ type: 'string', value: code.substring(i, end), start: i, end });
+                i = end;
+                continue;
+            }
+
+            NAME.lastIndex = i;
+            const nameMatch = NAME.exec(code);
+            if (nameMatch) {
+                tokens.push({ type: 'name', value: nameMatch[0], start: i, end: i + nameMatch[0].length });
+                i += nameMatch[0].length;
+                continue;
+            }
+
+            NUMBER.lastIndex = i;
+            const numberMatch = NUMBER.exec(code);
+            if (numberMatch) {
+                tokens.push({ type: 'number', value: numberMatch[0], start: i, end: i + numberMatch[0].length });
+                i += numberMatch[0].length;
+                continue;
+            }
+
+            const op = code.startsWith('->', i) ? '->' : ch;
+            const token = { type: 'op', value: op, start: i, end: i + op.length };
+
+            if (op === '(') {
+                // Remember which keyword owns the parentheses so `if (x) stmt;` can be detected
+                const previous = tokens[tokens.length - 1];
+                parenStack.push({
+                    owner: previous?.type === 'name' ? previous.value : null,
+                    annotation: tokens[tokens.length - 2]?.value === '@'
+                });
+            } else if (op === ')') {
+                const { owner = null, annotation = false } = parenStack.pop() ?? {};
+                token.closesControl = CONTROL_KEYWORDS.includes(owner);
+                token.closesCall = owner !== null && !annotation && !PAREN_KEYWORDS.includes(owner);
+            }
+
+            tokens.push(token);
+            i += op.length;
+        }
+
+        return tokens;
+    }
+
+    scanLiteral(code, index, quote) {
+        const isTextBlock = quote.length === 3;
+        let i = index;
+
+        while (i < code.length) {
+            if (code[i] === '\\') {
+                i += 2;
+                continue;
+            }
+            if (code.startsWith(quote, i)) {
+                return i + quote.length;
+            }
+            if (!isTextBlock && code[i] === '\n') {
+                return i;
+            }
+            i++;
+        }
+
+        return code.length;
+    }
+
+    isStatementStart(previous) {
+        if (!previous) {
+            return true;
+        }
+        if (previous.type === 'op') {
+            return STATEMENT_BOUNDARIES.includes(previous.value) || previous.value === '->' || previous.closesControl === true;
+        }
+        return previous.type === 'name' && BODY_KEYWORDS.includes(previous.value);
+    }
+
+    isLabel(tokens, index) {
+        const previous = tokens[index - 1];
+        return tokens[index].type === 'name' && tokens[index].value !== 'default' &&
+            tokens[index + 1]?.value === ':' &&
+            (!previous || [';', '{', '}'].includes(previous.value));
+    }
+
+    isBareBody(previous) {
+        // A statement directly after `if (...)`, `else`, `do` or a switch rule arrow is the whole body
+        if (!previous) {
+            return false;
+        }
+        return previous.value === '->' || previous.closesControl === true ||
+            (previous.type === 'name' && BODY_KEYWORDS.includes(previous.value));
+    }
+
+    matchDebugCall(tokens, index, code) {
+        const names = [tokens[index].value];
+        let i = index + 1;
+        while (tokens[i]?.value === '.' && tokens[i + 1]?.type === 'name') {
+            names.push(tokens[i + 1].value);
+            i += 2;
+        }
+
+        if (tokens[i]?.value !== '(') {
+            return null;
+        }
+
+        // Walk to the matching parenthesis; string literals are single tokens so they cannot unbalance it
+        let depth = 0;
+        let close = -1;
+        for (let j = i; j < tokens.length; j++) {
+            if (tokens[j].value === '(') {
+                depth++;
+            } else if (tokens[j].value === ')') {
+                depth--;
+                if (depth === 0) {
+                    close = j;
+                    break;
+                }
+            }
+        }
+
+        const semicolon = tokens[close + 1];
+        if (close === -1 || semicolon?.value !== ';') {
+            return null;
+        }
+
+        const argumentsText = code.substring(tokens[i].end, tokens[close].start).trim();
+        const type = this.classifyCallee(names) ?? this.customMatcher?.match(names, argumentsText)?.type;
+        if (!type) {
+            return null;
+        }
+
+        const match = {
+            type,
+            callee: names.join('.'),
+            start: tokens[index].start,
+            end: semicolon.end,
+            call: {
+                start: tokens[index].start,
+                end: tokens[close].end,
+                open: tokens[i].start,
+                arguments: findArgumentRanges(tokens, i, close)
+            },
+            lastTokenIndex: close + 1
+        };
+
+        if (this.isBareBody(tokens[index - 1])) {
+            match.replacement = '{}';
+        }
+
+        return match;
+    }
+
+    classifyCallee(names) {
+        const method = names[names.length - 1];
+        const receiver = names[names.length - 2];
+
+        if (names.length === 3 && names[0] === 'System' && SYSTEM_STREAM_METHODS.includes(method)) {
+            if (receiver === 'out') {
+                return 'system.out';
+            }
+            if (receiver === 'err') {
+                return 'system.err';
+            }
+        }
+
+        if (names.length >= 2 && method === 'printStackTrace') {
+            return 'stacktrace';
+        }
+
+        if (names.length >= 2 && this.loggerNames.includes(receiver) && this.loggerLevels.includes(method)) {
+            return 'logger';
+        }
+
+        return null;
+    }
+}
+
+module.exports = { JavaDebugParser, SYSTEM_STREAM_METHODS };
@@ -0,0 +1,260 @@
+const DEFAULT_LOGGER_TARGETS = {
+    javascript: { target: 'logger.{level}', import: "const logger = require('./logger');", placeholder: '' },
+    python: { target: 'logging.{level}', import: 'import logging', placeholder: '%s' },
+    java: { target: 'log.{level}', import: '', placeholder: '{}' }
+};
+
+// Used instead of the default `require` in ES modules, where `require` is not defined
+const ES_MODULE_IMPORT = "import logger from './logger';";
+const ES_MODULE_SYNTAX = /^\s*(?:import\s*[\w{*'"]|export\b)/m;
+
+// Console methods by name, other statement types by type
+const DEFAULT_LEVEL_MAP = {
+    log: 'debug',
+    debug: 'debug',
+    info: 'info',
+    warn: 'warn',
+    error: 'error',
+    trace: 'trace',
+    dir: 'debug',
+    dirxml: 'debug',
+    table: 'debug',
+    print: 'debug',
+    'system.out': 'debug',
+    'system.err': 'error'
+};
+
+const STRING_LITERALS = {
+    javascript: /^(?:'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*")$/,
+    python: /^[rRuUfF]{0,2}(?:'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*")$/,
+    java: /^"(?:[^"\\\n]|\\.)*"$/
+};
+
+const IMPORT_LINES = {
+    javascript: /^(?:import\b|(?:const|let|var)\s+[^=]+=\s*require\(|require\()/,
+    python: /^(?:import|from)\s/,
+    java: /^import\s/
+};
+
+const HEADER_LINES = {
+    javascript: /^(?:#!|(['"])use strict\1)/,
+    python: /^#/,
+    java: /^package\s/
+};
+
+const PYTHON_KEYWORD_ARGUMENT = /^([A-Za-z_]\w*)\s*=(?!=)\s*([\s\S]*)$/;
+
+function getLanguageFamily(language) {
+    return language === 'python' || language === 'java' ? language : 'javascript';
+}
+
+class LoggerConverter {
+    constructor(options = {}, language = 'javascript') {
+        this.language = getLanguageFamily(language);
+        this.typeScript = language === 'typescript' || language === 'typescriptreact';
+        this.importConfigured = options.loggerTargets?.[this.language]?.import !== undefined;
+        this.target = {
+            ...DEFAULT_LOGGER_TARGETS[this.language],
+            ...(options.loggerTargets?.[this.language] ?? {})
+        };
+        this.levels = { ...DEFAULT_LEVEL_MAP, ...(options.loggerLevelMap ?? {}) };
+    }
+
+    convert(code, statement) {
+        if (statement.context === 'callback') {
+            return { skipReason: 'Method references are not converted' };
+        }
+        if (!statement.call) {
+            return { skipReason: 'The call arguments could not be located' };
+        }
+        if (/^System\.(?:out|err)\.(?:printf|format)$/.test(statement.callee ?? '')) {
+            return { skipReason: 'Formatted output is not converted' };
+        }
+
+        const key = statement.type === 'console' ? statement.method : statement.type;
+        const args = statement.call.arguments.map(range => code.substring(range.start, range.end));
+        const printOptions = this.language === 'python' && statement.type === 'print'
+            ? this.readPrintOptions(args)
+            : { positional: args, separator: ' ', stream: null };
+
+        if (printOptions.skipReason) {
+            return printOptions;
+        }
+
+        const level = this.levels[printOptions.stream === 'stderr' ? 'error' : key];
+        if (!level) {
+            return { skipReason: `${statement.callee ?? statement.type} has no logger level` };
+        }
+
+        const callee = this.target.target.replace('{level}', level);
+        const { call } = statement;
+
+        // Without placeholders the arguments are kept verbatim, comments and all
+        if (!this.target.placeholder && printOptions.positional.length === args.length) {
+            return { start: call.start, end: call.open + 1, replacement: `${callee}(`, level };
+        }
+
+        if (this.target.placeholder && this.language === 'javascript' && args.some(arg => arg.startsWith('...'))) {
+            return { skipReason: 'Spread arguments are not converted' };
+        }
+
+        return {
+            start: call.start,
+            end: call.end,
+            replacement: `${callee}(${this.formatArguments(printOptions.positional, printOptions.separator)})`,
+            level
+        };
+    }
+
+    readPrintOptions(args) {
+        const options = { positional: [], separator: ' ', stream: null };
+
+        for (const arg of args) {
+            if (arg.startsWith('*')) {
+                return { skipReason: 'Unpacked arguments are not converted' };
+            }
+
+            const keyword = arg.match(PYTHON_KEYWORD_ARGUMENT);
+            if (!keyword) {
+                options.positional.push(arg);
+                continue;
+            }
+
+            const [, name, value] = keyword;
+            if (name === 'sep') {
+                const separator = value.match(/^[rRuU]?(['"])([^'"\\%{}]*)\1$/);
+                if (!separator && value !== 'None') {
+                    return { skipReason: 'The print separator cannot be converted' };
+                }
+                options.separator = separator ? separator[2] : ' ';
+            } else if (name === 'file') {
+                if (value !== 'sys.stdout' && value !== 'sys.stderr') {
+                    return { skipReason: 'Output to other files is not converted' };
+                }
+                options.stream = value === 'sys.stderr' ? 'stderr' : null;
+            } else if (name !== 'end' && name !== 'flush') {
+                return { skipReason: `Unsupported print argument: ${name}` };
+            }
+        }
+
+        return options;
+    }
+
+    formatArguments(args, separator) {
+        const placeholder = this.target.placeholder;
+        if (!placeholder) {
+            return args.join(', ');
+        }
+        if (args.length === 0) {
+            return '""';
+        }
+        if (args.length === 1 && STRING_LITERALS[this.language].test(args[0])) {
+            return args[0];
+        }
+
+        // `print(a, b)` becomes `logging.debug("%s %s", a, b)` so the values are still formatted lazily
+        const format = args.map(() => placeholder).join(separator);
+        return [`"${format}"`, ...args].join(', ');
+    }
+
+    getImport(code) {
+        if (this.language !== 'javascript' || this.importConfigured) {
+            return this.target.import;
+        }
+
+        // TypeScript compiles imports to whatever module system it targets, unless the file already uses require
+        const isModule = ES_MODULE_SYNTAX.test(code) || (this.typeScript && !/\brequire\s*\(/.test(code));
+        return isModule ? ES_MODULE_IMPORT : this.target.import;
+    }
+
+    addImport(code) {
+        const statement = this.getImport(code);
+        if (!statement || this.hasImport(code, statement)) {
+            return { code, added: false };
+        }
+
+        const newline = code.includes('\r\n') ? '\r\n' : '\n';
+        const { position, afterHeader } = this.findImportPosition(code);
+        const text = statement.split('\n').join(newline);
+        // An import on the last line may lack its newline, and a header keeps a blank line under it
+        const separator = afterHeader || (position === code.length && code.length > 0 && !code.endsWith('\n')) ? newline : '';
+        const inserted = `${separator}${text}${newline}`;
+
+        return { code: code.substring(0, position) + inserted + code.substring(position), added: true };
+    }
+
+    hasImport(code, statement) {
+        const lines = code.split('\n').map(line => line.trim());
+        if (statement.split('\n').every(line => lines.includes(line.trim()))) {
+            return true;
+        }
+
+        // A logger set up some other way, e.g. `const logger = createLogger()`, counts as present
+        const name = this.target.target.split(/[.(]/)[0].replace(/[$]/g, '\\$');
+        const declarations = {
+            javascript: `^\\s*(?:import\\b[^;]*\\b${name}\\b|(?:export\\s+)?(?:const|let|var)\\s+(?:${name}\\b|\\{[^}]*\\b${name}\\b[^}]*\\})|(?:export\\s+)?(?:function|class)\\s+${name}\\b)`,
+            python: `^(?:import\\s+[^\\n]*\\b${name}\\b|from\\s+\\S+\\s+import\\s+[^\\n]*\\b${name}\\b|${name}\\s*(?::[^=\\n]*)?=)`,
+            java: `\\b[A-Z]\\w*(?:<[^>]*>)?\\s+${name}\\s*[=;]`
+        };
+        return new RegExp(declarations[this.language], 'm').test(code);
+    }
+
+    findImportPosition(code) {
+        const lines = code.split('\n');
+        const offsets = [];
+        let offset = 0;
+        lines.forEach(line => {
+            offsets.push(offset);
+            offset += line.length + 1;
+        });
+        const after = index => Math.min(offsets[index] + lines[index].length + 1, code.length);
+
+        let lastImport = -1;
+        for (let i = 0; i < lines.length; i++) {
+            if (!IMPORT_LINES[this.language].test(lines[i])) {
+                continue;
+            }
+            lastImport = i;
+
+            // Follow imports that wrap, e.g. `import {\n  a,\n} from 'x';` or `from x import (\n  a,\n)`
+            if (this.language === 'javascript' && /^import\b/.test(lines[i]) && !/['"]\s*;?\s*$/.test(lines[i])) {
+                while (lastImport < lines.length - 1 && !/['"]\s*;?\s*$/.test(lines[lastImport])) {
+                    lastImport++;
+                }
+            } else if (this.language === 'python' && lines[i].includes('(') && !lines[i].includes(')')) {
+                while (lastImport < lines.length - 1 && !lines[lastImport].includes(')')) {
+                    lastImport++;
+                }
+            }
+            i = lastImport;
+        }
+
+        if (lastImport !== -1) {
+            return { position: after(lastImport), afterHeader: false };
+        }
+
+        let header = -1;
+        while (header + 1 < lines.length && HEADER_LINES[this.language].test(lines[header + 1])) {
+            header++;
+        }
+
+        // A module docstring stays the first statement of a Python file
+        const first = lines[header + 1]?.trim() ?? '';
+        const quote = this.language === 'python' && (first.startsWith('"""') || first.startsWith("'''")) ? first.substring(0, 3) : null;
+        if (quote) {
+            header++;
+            if (first.length < 6 || !first.endsWith(quote)) {
+                header++;
+                while (header < lines.length - 1 && !lines[header].includes(quote)) {
+                    header++;
+                }
+            }
+        }
+
+        return header === -1
+            ? { position: 0, afterHeader: false }
+            : { position: after(header), afterHeader: true };
+    }
+}
+
+module.exports = { LoggerConverter, DEFAULT_LOGGER_TARGETS, DEFAULT_LEVEL_MAP, getLanguageFamily };
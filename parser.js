@@ -2,57 +2,119 @@ const { parse } = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
 const t = require('@babel/types');
 const { CodeCleaner } = require('./cleaner');
+const { PythonDebugParser } = require('./pythonParser');
+const { JavaDebugParser, SYSTEM_STREAM_METHODS } = require('./javaParser');
+const { CustomPatternMatcher } = require('./customPatterns');
+const { CONSOLE_METHODS, GROUP_OPENERS, GROUP_CLOSER } = require('./consoleMethods');
+
+const CONSOLE_METHOD_PATTERN = Object.keys(CONSOLE_METHODS).join('|');
+const SUPPRESSION_DIRECTIVE = /cleanup-(disable-next-line|disable|enable|keep)\b/;
+
+const SIDE_EFFECT_NODES = [
+    'AssignmentExpression',
+    'UpdateExpression',
+    'CallExpression',
+    'OptionalCallExpression',
+    'AwaitExpression',
+    'YieldExpression',
+    'NewExpression'
+];
+
+// Calls that only read a clock, so dropping an unused result cannot change behavior
+const PURE_CALLS = ['performance.now', 'Date.now', 'process.hrtime', 'process.hrtime.bigint', 'process.memoryUsage'];
+
+// Calls that only read or format their arguments, so a log may be removed along with them
+const READ_ONLY_CALLS = [...PURE_CALLS, 'util.inspect', 'JSON.stringify', 'String', 'Number', 'Object.keys', 'Object.entries', 'Object.values'];
 
 class DebugStatementParser {
-    constructor() {
+    constructor(options = {}) {
         this.debugStatements = [];
+        this.suppressedStatements = [];
+        this.bindingDeclarations = [];
+        this.options = {
+            loggerNames: options.loggerNames ?? ['log', 'logger', 'LOG', 'LOGGER'],
+            loggerLevels: options.loggerLevels ?? ['debug', 'trace'],
+            customPatterns: options.customPatterns ?? [],
+            removeUnusedBindings: options.removeUnusedBindings ?? false
+        };
+        this.customMatcher = new CustomPatternMatcher();
     }
 
-    parseCode(code, filePath = 'unknown') {
+    parseCode(code, filePath = 'unknown', languageId = null) {
         this.debugStatements = [];
+        this.suppressedStatements = [];
+        this.bindingDeclarations = [];
+
+        const language = this.detectLanguage(filePath, languageId);
+        const statements = this.collectStatements(code, filePath, language);
+        // Cleanup actions other than removal need the comment and block syntax of the file
+        statements.forEach(statement => {
+            statement.language = language;
+        });
+        this.pairConsoleGroups(statements);
+
+        return this.applySuppressions(code, statements, language);
+    }
+
+    pairConsoleGroups(statements) {
+        // Match console.group/groupCollapsed with their groupEnd so both halves are handled together
+        const open = [];
+        let nextId = 1;
+
+        [...statements].sort((a, b) => a.start - b.start).forEach(statement => {
+            if (statement.type !== 'console') {
+                return;
+            }
+            if (GROUP_OPENERS.includes(statement.method)) {
+                open.push(statement);
+            } else if (statement.method === GROUP_CLOSER && open.length > 0) {
+                const opener = open.pop();
+                opener.groupPair = nextId;
+                statement.groupPair = nextId;
+                nextId++;
+            }
+        });
+    }
+
+    collectStatements(code, filePath, language) {
+        this.customMatcher = new CustomPatternMatcher(this.options.customPatterns, language);
+        const scannerOptions = { ...this.options, customMatcher: this.customMatcher };
+
+        if (language === 'python') {
+            return this.parseWithScanner(new PythonDebugParser(scannerOptions), code, filePath);
+        }
+
+        if (language === 'java') {
+            return this.parseWithScanner(new JavaDebugParser(scannerOptions), code, filePath);
+        }
 
         try {
-            const isTypeScript = filePath.endsWith('.ts') || filePath.endsWith('.tsx');
-            const isJSX = filePath.endsWith('.jsx') || filePath.endsWith('.tsx');
-
-            const ast = parse(code, {
-                sourceType: 'module',
-                allowImportExportEverywhere: true,
-                allowReturnOutsideFunction: true,
-                plugins: [
-                    'asyncGenerators',
-                    'bigInt',
-                    'classProperties',
-                    'decorators-legacy',
-                    'doExpressions',
-                    'dynamicImport',
-                    'exportDefaultFrom',
-                    'exportNamespaceFrom',
-                    'functionBind',
-                    'functionSent',
-                    'importMeta',
-                    'nullishCoalescingOperator',
-                    'numericSeparator',
-                    'objectRestSpread',
-                    'optionalCatchBinding',
-                    'optionalChaining',
-                    'throwExpressions',
-                    'topLevelAwait',
-                    'trailingFunctionCommas',
-                    ...(isTypeScript ? ['typescript'] : []),
-                    ...(isJSX ? ['jsx'] : [])
-                ]
-            });
+            const ast = parse(code, this.getBabelOptions(language));
 
             traverse(ast, {
                 CallExpression: (path) => {
                     this.handleCallExpression(path, code);
                 },
+                OptionalCallExpression: (path) => {
+                    this.handleCallExpression(path, code);
+                },
+                MemberExpression: (path) => {
+                    this.handleConsoleReference(path, code);
+                },
+                OptionalMemberExpression: (path) => {
+                    this.handleConsoleReference(path, code);
+                },
                 DebuggerStatement: (path) => {
                     this.handleDebuggerStatement(path, code);
                 }
             });
 
+            this.attachComments(ast.comments ?? [], code);
+
+            if (this.options.removeUnusedBindings) {
+                this.bindingDeclarations = this.collectBindingDeclarations(ast, code);
+            }
+
         } catch (error) {
             console.warn(`Failed to parse file ${filePath}:`, error.message);
             return this.fallbackRegexParse(code);
@@ -61,16 +123,709 @@ class DebugStatementParser {
         return this.debugStatements;
     }
 
+    getBabelOptions(language) {
+        const isTypeScript = language === 'typescript' || language === 'typescriptreact';
+        const isJSX = language === 'javascriptreact' || language === 'typescriptreact';
+
+        return {
+            sourceType: 'module',
+            allowImportExportEverywhere: true,
+            allowReturnOutsideFunction: true,
+            plugins: [
+                'asyncGenerators',
+                'bigInt',
+                'classProperties',
+                'decorators-legacy',
+                'doExpressions',
+                'dynamicImport',
+                'exportDefaultFrom',
+                'exportNamespaceFrom',
+                'functionBind',
+                'functionSent',
+                'importMeta',
+                'nullishCoalescingOperator',
+                'numericSeparator',
+                'objectRestSpread',
+                'optionalCatchBinding',
+                'optionalChaining',
+                'throwExpressions',
+                'topLevelAwait',
+                'trailingFunctionCommas',
+                ...(isTypeScript ? ['typescript'] : []),
+                ...(isJSX ? ['jsx'] : [])
+            ]
+        };
+    }
+
+    attachComments(comments, code) {
+        // Suppression directives belong to the statements they keep, never to the ones being removed
+        const candidates = comments
+            .filter(comment => !SUPPRESSION_DIRECTIVE.test(comment.value))
+            .map(comment => ({
+                start: comment.start,
+                end: comment.end,
+                text: code.substring(comment.start, comment.end),
+                value: comment.value,
+                block: comment.type === 'CommentBlock'
+            }));
+
+        this.debugStatements.forEach(statement => {
+            const inner = candidates.filter(comment => comment.start >= statement.start && comment.end <= statement.end);
+            const leading = this.findLeadingComments(candidates, code, statement);
+            const trailing = this.findTrailingComments(candidates, code, statement);
+
+            if (inner.length > 0 || leading.length > 0 || trailing.length > 0) {
+                statement.comments = { leading, trailing, inner };
+            }
+        });
+    }
+
+    findLeadingComments(comments, code, statement) {
+        // Comment lines directly above a statement that starts its line, with no blank line in between
+        const leading = [];
+        let lineStart = code.lastIndexOf('\n', statement.start - 1) + 1;
+        if (code.substring(lineStart, statement.start).trim() !== '') {
+            return leading;
+        }
+
+        for (;;) {
+            const comment = comments.find(candidate => {
+                const between = code.substring(candidate.end, lineStart);
+                const ownLineStart = code.lastIndexOf('\n', candidate.start - 1) + 1;
+                return candidate.end <= lineStart &&
+                    between.trim() === '' &&
+                    between.split('\n').length === 2 &&
+                    code.substring(ownLineStart, candidate.start).trim() === '';
+            });
+            if (!comment) {
+                return leading;
+            }
+            leading.unshift(comment);
+            lineStart = code.lastIndexOf('\n', comment.start - 1) + 1;
+        }
+    }
+
+    findTrailingComments(comments, code, statement) {
+        // Comments after the statement on its last line, with nothing but whitespace in between
+        const trailing = [];
+        let cursor = statement.end;
+
+        for (;;) {
+            const comment = comments.find(candidate =>
+                candidate.start >= cursor &&
+                /^[ \t]*$/.test(code.substring(cursor, candidate.start))
+            );
+            if (!comment) {
+                return trailing;
+            }
+            trailing.push(comment);
+            cursor = comment.end;
+            if (!comment.block) {
+                return trailing;
+            }
+        }
+    }
+
+    collectBindingDeclarations(ast, code) {
+        // Imports, requires and locals that could become dead once the debug statements that read them are gone
+        const declarations = [];
+        const occurrences = new Map();
+
+        traverse(ast, {
+            'Identifier|JSXIdentifier': (path) => {
+                if (this.isNameOccurrence(path)) {
+                    const list = occurrences.get(path.node.name) ?? [];
+                    list.push({ start: path.node.start, end: path.node.end });
+                    occurrences.set(path.node.name, list);
+                }
+            },
+            ImportDeclaration: (path) => {
+                const declaration = this.describeImport(path, code);
+                if (declaration) {
+                    declarations.push(declaration);
+                }
+            },
+            VariableDeclaration: (path) => {
+                const declaration = this.describeVariableDeclaration(path, code);
+                if (declaration) {
+                    declarations.push(declaration);
+                }
+            }
+        });
+
+        // Names are matched textually, so a shadowing variable of the same name keeps the declaration alive
+        declarations.forEach(declaration => {
+            declaration.parts.forEach(part => {
+                part.references = part.names.flatMap(name => occurrences.get(name) ?? [])
+                    .filter(reference => reference.start < part.start || reference.end > part.end);
+            });
+        });
+
+        return declarations;
+    }
+
+    isNameOccurrence(path) {
+        const parent = path.parent;
+        if ((t.isMemberExpression(parent) || t.isOptionalMemberExpression(parent)) && parent.property === path.node) {
+            return parent.computed;
+        }
+        if ((t.isObjectProperty(parent) || t.isObjectMethod(parent) || t.isClassProperty(parent) || t.isClassMethod(parent)) &&
+            parent.key === path.node) {
+            return parent.computed || parent.shorthand === true;
+        }
+        if (t.isJSXMemberExpression(parent)) {
+            return parent.object === path.node;
+        }
+        return !t.isJSXAttribute(parent);
+    }
+
+    describeImport(path, code) {
+        const node = path.node;
+        if (
+            node.specifiers.length === 0 ||
+            (node.importKind && node.importKind !== 'value') ||
+            (node.attributes?.length ?? 0) > 0 ||
+            (node.assertions?.length ?? 0) > 0
+        ) {
+            return null;
+        }
+
+        const parts = node.specifiers.map(specifier => ({
+            names: [specifier.local.name],
+            group: t.isImportSpecifier(specifier) ? 'named' : 'default',
+            text: code.substring(specifier.start, specifier.end),
+            start: specifier.start,
+            end: specifier.end
+        }));
+
+        if (!parts.every(part => this.isRemovableBinding(path.scope.getBinding(part.names[0])))) {
+            return null;
+        }
+
+        return this.createDeclaration(code, node, 'import', parts, {
+            source: code.substring(node.source.start, node.source.end)
+        });
+    }
+
+    describeVariableDeclaration(path, code) {
+        const node = path.node;
+        const parent = path.parentPath;
+        if (!(parent.isProgram() || parent.isBlockStatement() || parent.isStaticBlock()) || node.declare) {
+            return null;
+        }
+
+        const isRequire = node.declarations.some(declarator => this.isRequireCall(declarator.init));
+        const parts = node.declarations.map(declarator => ({
+            names: Object.keys(t.getBindingIdentifiers(declarator.id)),
+            text: code.substring(declarator.start, declarator.end),
+            start: declarator.start,
+            end: declarator.end,
+            removable: this.isDroppableInitializer(declarator.init)
+        }));
+
+        // A declarator that cannot go keeps the others in place too, so the statement is rebuilt from what stays
+        const candidates = parts.filter(part =>
+            part.removable && part.names.every(name => this.isRemovableBinding(path.scope.getBinding(name)))
+        );
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        return this.createDeclaration(code, node, isRequire ? 'require' : 'variable', parts.map(({ removable, ...part }) => ({
+            ...part,
+            removable: candidates.some(candidate => candidate.start === part.start)
+        })), {
+            declarationKind: node.kind
+        });
+    }
+
+    createDeclaration(code, node, kind, parts, extra) {
+        const statement = this.createStatement(code, kind, node.start, node.end, extra);
+        return {
+            ...statement,
+            kind,
+            parts: parts.map(part => ({ removable: true, ...part })),
+            semicolon: code[node.end - 1] === ';'
+        };
+    }
+
+    isRemovableBinding(binding) {
+        // Reassigned bindings are still written by the remaining code
+        return Boolean(binding) && binding.constantViolations.length === 0;
+    }
+
+    isRequireCall(node) {
+        while (t.isMemberExpression(node) && !node.computed) {
+            node = node.object;
+        }
+        return t.isCallExpression(node) &&
+            t.isIdentifier(node.callee, { name: 'require' }) &&
+            node.arguments.length === 1 &&
+            t.isStringLiteral(node.arguments[0]);
+    }
+
+    isDroppableInitializer(node) {
+        if (!node) {
+            return false;
+        }
+        if (this.isRequireCall(node) || this.isPureExpression(node)) {
+            return true;
+        }
+
+        // Timers such as `const t0 = performance.now()` only feed the log that printed them
+        const callee = t.isCallExpression(node) || t.isNewExpression(node)
+            ? this.getCalleeSegments(node.callee)?.join('.')
+            : null;
+        return (t.isNewExpression(node) ? callee === 'Date' : PURE_CALLS.includes(callee)) &&
+            node.arguments.every(argument => this.isPureExpression(argument));
+    }
+
+    detectLanguage(filePath, languageId = null) {
+        if (languageId) {
+            return languageId;
+        }
+
+        const extension = filePath.split('.').pop()?.toLowerCase();
+        const mapping = {
+            'ts': 'typescript',
+            'tsx': 'typescriptreact',
+            'jsx': 'javascriptreact',
+            'py': 'python',
+            'pyw': 'python',
+            'java': 'java'
+        };
+        return mapping[extension] || 'javascript';
+    }
+
+    parseWithScanner(scanner, code, filePath) {
+        try {
+            const matches = scanner.parse(code);
+            matches.forEach(({ type, start, end, ...details }) => {
+                this.debugStatements.push(this.createStatement(code, type, start, end, details));
+            });
+        } catch (error) {
+            console.warn(`Failed to parse file ${filePath}:`, error.message);
+            return this.fallbackRegexParse(code);
+        }
+
+        return this.debugStatements;
+    }
+
+    validateCleanup(originalCode, cleanResult, filePath = 'unknown', languageId = null) {
+        const language = this.detectLanguage(filePath, languageId);
+        const error = this.findSyntaxError(cleanResult.cleanCode, language);
+
+        // A file that never parsed has no baseline to compare against, so only new errors count
+        if (!error || this.findSyntaxError(originalCode, language)) {
+            return null;
+        }
+
+        const position = this.createStatement(cleanResult.cleanCode, 'syntax', error.start, error.start);
+        return {
+            message: error.message,
+            line: position.line,
+            column: position.column,
+            statement: this.findBreakingStatement(originalCode, cleanResult.removedStatements, language) ?? null
+        };
+    }
+
+    describeValidationError(error) {
+        const cause = error.statement
+            ? ` after removing line ${error.statement.line}: ${error.statement.text.split('\n')[0].trim()}`
+            : '';
+        return `cleanup rolled back, ${error.message} at ${error.line}:${error.column + 1}${cause}`;
+    }
+
+    findSyntaxError(code, language) {
+        if (language === 'python') {
+            return new PythonDebugParser().findSyntaxError(code);
+        }
+        if (language === 'java') {
+            return new JavaDebugParser().findSyntaxError(code);
+        }
+
+        try {
+            parse(code, this.getBabelOptions(language));
+            return null;
+        } catch (error) {
+            // Babel appends the position to the message; it is reported separately
+            return { message: error.message.replace(/\s*\(\d+:\d+\)$/, ''), start: error.pos ?? 0 };
+        }
+    }
+
+    findBreakingStatement(code, statements, language) {
+        // Removing each statement on its own pins down the one that breaks the file
+        const cleaner = new CodeCleaner({ cleanWhitespace: false });
+        return statements.find(statement =>
+            this.findSyntaxError(cleaner.removeSelectedStatements(code, [statement]).cleanCode, language)
+        );
+    }
+
+    findSuppressions(code, language) {
+        const commentPattern = language === 'python'
+            ? new RegExp(`#\\s*${SUPPRESSION_DIRECTIVE.source}`)
+            : new RegExp(`(?://|/\\*)\\s*${SUPPRESSION_DIRECTIVE.source}`);
+
+        const suppressions = { keepLines: new Set(), nextLines: new Set(), regions: [] };
+        let regionStart = null;
+
+        code.split('\n').forEach((line, index) => {
+            const match = line.match(commentPattern);
+            if (!match) {
+                return;
+            }
+
+            const lineNumber = index + 1;
+            switch (match[1]) {
+                case 'keep':
+                    suppressions.keepLines.add(lineNumber);
+                    break;
+                case 'disable-next-line':
+                    suppressions.nextLines.add(lineNumber + 1);
+                    break;
+                case 'disable':
+                    regionStart = regionStart ?? lineNumber;
+                    break;
+                case 'enable':
+                    if (regionStart !== null) {
+                        suppressions.regions.push({ start: regionStart, end: lineNumber });
+                        regionStart = null;
+                    }
+                    break;
+            }
+        });
+
+        // An unterminated disable comment runs to the end of the file
+        if (regionStart !== null) {
+            suppressions.regions.push({ start: regionStart, end: Infinity });
+        }
+
+        return suppressions;
+    }
+
+    applySuppressions(code, statements, language) {
+        const suppressions = this.findSuppressions(code, language);
+        const active = [];
+
+        statements.forEach(statement => {
+            const endLine = statement.line + (statement.text.match(/\n/g) || []).length;
+            let suppression = null;
+
+            if (suppressions.regions.some(region => statement.line >= region.start && statement.line <= region.end)) {
+                suppression = 'disable';
+            } else if (suppressions.nextLines.has(statement.line)) {
+                suppression = 'disable-next-line';
+            } else {
+                for (let line = statement.line; line <= endLine; line++) {
+                    if (suppressions.keepLines.has(line)) {
+                        suppression = 'keep';
+                        break;
+                    }
+                }
+            }
+
+            if (suppression) {
+                this.suppressedStatements.push({ ...statement, suppression });
+            } else {
+                active.push(statement);
+            }
+        });
+
+        // Keeping one half of a console group keeps the other, or the output would be left unbalanced
+        const keptPairs = new Set(this.suppressedStatements
+            .filter(statement => statement.groupPair !== undefined)
+            .map(statement => statement.groupPair));
+
+        const remaining = active.filter(statement => {
+            if (statement.groupPair !== undefined && keptPairs.has(statement.groupPair)) {
+                this.suppressedStatements.push({ ...statement, suppression: 'group' });
+                return false;
+            }
+            return true;
+        });
+
+        this.debugStatements = remaining;
+        return remaining;
+    }
+
     handleCallExpression(path, code) {
         const node = path.node;
 
-        if (this.isConsoleCall(node)) {
-            this.addDebugStatement(node, code, 'console');
+        const consoleCall = this.getConsoleCall(path);
+
+        if (consoleCall) {
+            this.addDebugCall(path, code, 'console', {
+                callee: code.substring(node.callee.start, node.callee.end),
+                ...consoleCall
+            });
         } else if (this.isPrintCall(node)) {
-            this.addDebugStatement(node, code, 'print');
+            this.addDebugCall(path, code, 'print', { callee: 'print', object: null, method: 'print' });
         } else if (this.isSystemOutCall(node)) {
-            this.addDebugStatement(node, code, 'system.out');
+            this.addDebugCall(path, code, 'system.out', this.describeSystemStreamCall(node, 'out'));
+        } else if (this.isSystemErrCall(node)) {
+            this.addDebugCall(path, code, 'system.err', this.describeSystemStreamCall(node, 'err'));
+        } else if (!this.customMatcher.isEmpty) {
+            this.handleCustomPatternCall(path, code);
+        }
+    }
+
+    handleCustomPatternCall(path, code) {
+        const node = path.node;
+        const args = node.arguments;
+        const argumentsText = args.length > 0 ? code.substring(args[0].start, args[args.length - 1].end) : '';
+        const segments = this.getCalleeSegments(node.callee);
+        const pattern = this.customMatcher.match(segments, argumentsText);
+
+        if (!pattern) {
+            return;
+        }
+
+        this.addDebugCall(path, code, pattern.type, { callee: segments.join('.') });
+    }
+
+    handleConsoleReference(path, code) {
+        // `.then(console.log)` passes the method itself; a no-op callback keeps the call valid
+        const node = path.node;
+        const parent = path.parentPath;
+        if (!(parent.isCallExpression() || parent.isOptionalCallExpression()) || !parent.node.arguments.includes(node)) {
+            return;
+        }
+
+        const member = this.getConsoleMember(node, path.scope);
+        if (member) {
+            this.debugStatements.push(this.createStatement(code, 'console', node.start, node.end, {
+                callee: code.substring(node.start, node.end),
+                ...member,
+                alias: null,
+                context: 'callback',
+                replacement: '() => {}'
+            }));
+        }
+    }
+
+    addDebugCall(path, code, type, extra = {}) {
+        const node = path.node;
+        const parent = path.parentPath;
+
+        extra = { ...extra, call: this.describeCall(node, code) };
+
+        const sideEffects = this.findSideEffects(path, code);
+        if (sideEffects.length > 0) {
+            extra = { ...extra, sideEffects };
+        }
+
+        if (parent.isExpressionStatement()) {
+            if (this.isBareBody(parent)) {
+                this.addBareBodyStatement(parent, code, type, extra);
+            } else {
+                this.addDebugStatement(node, code, type, { ...extra, context: 'statement' });
+            }
+            return;
+        }
+
+        // `ready && console.log(x);` only exists for the call, so the whole statement goes
+        const guarded = this.getGuardedStatement(path);
+        if (guarded) {
+            if (!guarded.pure) {
+                this.addSkippedCall(node, code, type, extra, 'guarded', 'The guard condition has side effects');
+            } else if (this.isBareBody(guarded.statement)) {
+                this.addBareBodyStatement(guarded.statement, code, type, { ...extra, context: 'guarded' });
+            } else {
+                const statement = guarded.statement.node;
+                this.debugStatements.push(this.createStatement(code, type, statement.start, statement.end, {
+                    ...extra,
+                    context: 'guarded'
+                }));
+            }
+            return;
+        }
+
+        // Debug calls evaluate to undefined, so that is what the other branch is compared against
+        if (parent.isConditionalExpression() && parent.node.test !== node) {
+            const { start, end } = this.getParenthesizedRange(node, code);
+            this.debugStatements.push(this.createStatement(code, type, start, end, {
+                ...extra,
+                context: 'conditional',
+                replacement: 'undefined'
+            }));
+            return;
+        }
+
+        if (parent.isArrowFunctionExpression() && parent.node.body === node) {
+            const { start, end } = this.getParenthesizedRange(node, code);
+            this.debugStatements.push(this.createStatement(code, type, start, end, {
+                ...extra,
+                context: 'arrow-body',
+                replacement: '{}'
+            }));
+            return;
+        }
+
+        if (parent.isReturnStatement()) {
+            const statement = parent.node;
+            this.debugStatements.push(this.createStatement(code, type, statement.start, statement.end, {
+                ...extra,
+                context: 'return',
+                replacement: code[statement.end - 1] === ';' ? 'return;' : 'return'
+            }));
+            return;
+        }
+
+        this.addSkippedCall(node, code, type, extra, 'value', 'The return value is used by the surrounding expression');
+    }
+
+    describeCall(node, code) {
+        // Positions a rewrite needs, e.g. to swap `console.log(` for another callee and keep the arguments
+        return {
+            start: node.start,
+            end: node.end,
+            open: code.indexOf('(', node.callee.end),
+            arguments: node.arguments.map(argument => ({ start: argument.start, end: argument.end }))
+        };
+    }
+
+    findSideEffects(path, code) {
+        // Arguments whose evaluation changes state; the call's removal would silently drop that
+        return path.get('arguments')
+            .map(argument => argument.isSpreadElement() ? argument.get('argument') : argument)
+            .filter(argument => this.hasSideEffects(argument))
+            .map(argument => ({
+                text: code.substring(argument.node.start, argument.node.end),
+                start: argument.node.start,
+                end: argument.node.end
+            }));
+    }
+
+    isReadOnlyCall(node) {
+        return (t.isCallExpression(node) || t.isOptionalCallExpression(node)) &&
+            READ_ONLY_CALLS.includes(this.getCalleeSegments(node.callee)?.join('.'));
+    }
+
+    hasSideEffects(path) {
+        // A read-only call is only as safe as its arguments, which the traversal below still visits
+        if (SIDE_EFFECT_NODES.includes(path.node.type) && !this.isReadOnlyCall(path.node)) {
+            return true;
+        }
+        if (path.isFunction()) {
+            return false;
+        }
+
+        let found = false;
+        path.traverse({
+            [SIDE_EFFECT_NODES.join('|')]: (inner) => {
+                if (this.isReadOnlyCall(inner.node)) {
+                    return;
+                }
+                found = true;
+                inner.stop();
+            },
+            // Function bodies only run if something calls them, which is already a call
+            Function: (inner) => {
+                inner.skip();
+            }
+        });
+        return found;
+    }
+
+    addSkippedCall(node, code, type, extra, context, reason) {
+        this.debugStatements.push(this.createStatement(code, type, node.start, node.end, {
+            ...extra,
+            context,
+            skipReason: reason
+        }));
+    }
+
+    addBareBodyStatement(statementPath, code, type, extra) {
+        // `if (debug) console.log(x);` still needs a body once the call is gone
+        const statement = statementPath.node;
+        this.debugStatements.push(this.createStatement(code, type, statement.start, statement.end, {
+            context: 'body',
+            ...extra,
+            replacement: '{}'
+        }));
+    }
+
+    isBareBody(statementPath) {
+        const parent = statementPath.parentPath;
+        return parent.isIfStatement() || parent.isLoop() || parent.isLabeledStatement() || parent.isWithStatement();
+    }
+
+    getGuardedStatement(path) {
+        const guards = [];
+        let current = path;
+
+        while (current.parentPath.isLogicalExpression() && current.parentPath.node.right === current.node) {
+            guards.push(current.parentPath.node.left);
+            current = current.parentPath;
+        }
+
+        if (guards.length === 0 || !current.parentPath.isExpressionStatement()) {
+            return null;
+        }
+
+        return {
+            statement: current.parentPath,
+            pure: guards.every(guard => this.isPureExpression(guard))
+        };
+    }
+
+    isPureExpression(node) {
+        if (t.isTemplateLiteral(node)) {
+            return node.expressions.every(expression => this.isPureExpression(expression));
+        }
+        if (t.isIdentifier(node) || t.isLiteral(node) || t.isThisExpression(node)) {
+            return true;
+        }
+        if (t.isMemberExpression(node) || t.isOptionalMemberExpression(node)) {
+            return this.isPureExpression(node.object) && (!node.computed || this.isPureExpression(node.property));
+        }
+        if (t.isUnaryExpression(node)) {
+            return node.operator !== 'delete' && this.isPureExpression(node.argument);
+        }
+        if (t.isBinaryExpression(node) || t.isLogicalExpression(node)) {
+            return this.isPureExpression(node.left) && this.isPureExpression(node.right);
+        }
+        if (t.isConditionalExpression(node)) {
+            return [node.test, node.consequent, node.alternate].every(part => this.isPureExpression(part));
+        }
+        return false;
+    }
+
+    getParenthesizedRange(node, code) {
+        if (!node.extra?.parenthesized) {
+            return { start: node.start, end: node.end };
+        }
+
+        let end = node.end;
+        while (end < code.length && /\s/.test(code[end])) {
+            end++;
+        }
+
+        return code[end] === ')'
+            ? { start: node.extra.parenStart, end: end + 1 }
+            : { start: node.start, end: node.end };
+    }
+
+    getCalleeSegments(node) {
+        if (t.isIdentifier(node)) {
+            return [node.name];
         }
+        if (t.isThisExpression(node)) {
+            return ['this'];
+        }
+        if (t.isMemberExpression(node) || t.isOptionalMemberExpression(node)) {
+            const object = this.getCalleeSegments(node.object);
+            let property = null;
+
+            if (!node.computed && t.isIdentifier(node.property)) {
+                property = node.property.name;
+            } else if (node.computed && t.isStringLiteral(node.property)) {
+                property = node.property.value;
+            }
+
+            return object && property !== null ? [...object, property] : null;
+        }
+        return null;
     }
 
     handleDebuggerStatement(path, code) {
@@ -78,13 +833,95 @@ class DebugStatementParser {
         this.addDebugStatement(node, code, 'debugger');
     }
 
-    isConsoleCall(node) {
-        return (
-            t.isMemberExpression(node.callee) &&
-            t.isIdentifier(node.callee.object, { name: 'console' }) &&
-            t.isIdentifier(node.callee.property) &&
-            ['log', 'debug', 'info', 'warn', 'error', 'trace', 'table', 'time', 'timeEnd'].includes(node.callee.property.name)
-        );
+    getConsoleCall(path) {
+        const node = path.node;
+        const callOptional = node.optional === true;
+
+        // console.log(), console['log'](), console?.log(), console.log?.()
+        const member = this.getConsoleMember(node.callee, path.scope);
+        if (member) {
+            return { ...member, optional: member.optional || callOptional, alias: null };
+        }
+
+        // log() after `const log = console.log`, `const { log } = console` or `console.log.bind(console)`
+        if (t.isIdentifier(node.callee)) {
+            const alias = this.getConsoleAlias(node.callee.name, path.scope);
+            if (alias) {
+                return { ...alias, optional: callOptional, alias: node.callee.name };
+            }
+        }
+
+        return null;
+    }
+
+    getConsoleMember(node, scope) {
+        if (!(t.isMemberExpression(node) || t.isOptionalMemberExpression(node))) {
+            return null;
+        }
+
+        // A local variable named console is not the global console
+        if (!t.isIdentifier(node.object, { name: 'console' }) || scope.getBinding('console')) {
+            return null;
+        }
+
+        const method = this.getPropertyName(node);
+        if (!method || !Object.prototype.hasOwnProperty.call(CONSOLE_METHODS, method)) {
+            return null;
+        }
+
+        return { object: 'console', method, optional: node.optional === true, computed: node.computed };
+    }
+
+    getConsoleAlias(name, scope) {
+        const binding = scope.getBinding(name);
+        if (!binding || binding.constantViolations.length > 0 || !t.isVariableDeclarator(binding.path.node)) {
+            return null;
+        }
+
+        const { id, init } = binding.path.node;
+        const declarationScope = binding.path.scope;
+
+        if (t.isIdentifier(id) && init) {
+            let target = init;
+            if (
+                t.isCallExpression(init) &&
+                t.isMemberExpression(init.callee) &&
+                this.getPropertyName(init.callee) === 'bind'
+            ) {
+                target = init.callee.object;
+            }
+
+            const member = this.getConsoleMember(target, declarationScope);
+            return member ? { object: 'console', method: member.method, computed: member.computed } : null;
+        }
+
+        if (t.isObjectPattern(id) && t.isIdentifier(init, { name: 'console' }) && !declarationScope.getBinding('console')) {
+            const property = id.properties.find(prop =>
+                t.isObjectProperty(prop) && t.isIdentifier(prop.value, { name })
+            );
+            const method = property && !property.computed
+                ? (t.isIdentifier(property.key) ? property.key.name : property.key.value)
+                : null;
+
+            if (method && Object.prototype.hasOwnProperty.call(CONSOLE_METHODS, method)) {
+                return { object: 'console', method, computed: false };
+            }
+        }
+
+        return null;
+    }
+
+    getPropertyName(member) {
+        if (!member.computed && t.isIdentifier(member.property)) {
+            return member.property.name;
+        }
+        if (member.computed && t.isStringLiteral(member.property)) {
+            return member.property.value;
+        }
+        if (member.computed && t.isTemplateLiteral(member.property) && member.property.expressions.length === 0) {
+            return member.property.quasis[0].value.cooked;
+        }
+        return null;
     }
 
     isPrintCall(node) {
@@ -92,16 +929,33 @@ class DebugStatementParser {
     }
 
     isSystemOutCall(node) {
+        return this.isSystemStreamCall(node, 'out');
+    }
+
+    isSystemErrCall(node) {
+        return this.isSystemStreamCall(node, 'err');
+    }
+
+    isSystemStreamCall(node, stream) {
         return (
             t.isMemberExpression(node.callee) &&
             t.isMemberExpression(node.callee.object) &&
             t.isIdentifier(node.callee.object.object, { name: 'System' }) &&
-            t.isIdentifier(node.callee.object.property, { name: 'out' }) &&
-            t.isIdentifier(node.callee.property, { name: 'println' })
+            t.isIdentifier(node.callee.object.property, { name: stream }) &&
+            t.isIdentifier(node.callee.property) &&
+            SYSTEM_STREAM_METHODS.includes(node.callee.property.name)
         );
     }
 
-    addDebugStatement(node, code, type) {
+    describeSystemStreamCall(node, stream) {
+        return {
+            callee: `System.${stream}.${node.callee.property.name}`,
+            object: `System.${stream}`,
+            method: node.callee.property.name
+        };
+    }
+
+    addDebugStatement(node, code, type, extra = {}) {
         const start = node.start;
         let end = node.end;
 
@@ -112,6 +966,10 @@ class DebugStatementParser {
             end += semicolonMatch[0].length;
         }
 
+        this.debugStatements.push(this.createStatement(code, type, start, end, extra));
+    }
+
+    createStatement(code, type, start, end, extra = {}) {
         // Find the actual line boundaries in the source code
         const lines = code.split('\n');
         let lineStart = 0;
@@ -131,30 +989,44 @@ class DebugStatementParser {
         const lineContent = lines[lineNumber - 1];
         const statementText = code.substring(start, end);
 
-        this.debugStatements.push({
+        return {
             type,
             line: lineNumber,
             column: start - lineStart,
             start,
             end,
             text: statementText,
-            lineContent: lineContent.trim()
-        });
+            lineContent: lineContent.trim(),
+            ...extra
+        };
     }
 
     fallbackRegexParse(code) {
         const patterns = [
             // Enhanced console pattern to handle complex scenarios
-            { regex: /console\.(log|debug|info|warn|error|trace|table|time|timeEnd)\s*\([^)]*\)\s*;?\s*/g, type: 'console' },
-            { regex: /print\s*\([^)]*\)\s*;?\s*/g, type: 'print' },
-            { regex: /System\.out\.println\s*\([^)]*\)\s*;?\s*/g, type: 'system.out' },
+            {
+                regex: new RegExp(`console\\s*(?:\\??\\.\\s*(${CONSOLE_METHOD_PATTERN})|(?:\\?\\.)?\\[\\s*(['"\`])(${CONSOLE_METHOD_PATTERN})\\2\\s*\\])\\s*(?:\\?\\.)?\\s*\\([^)]*\\)\\s*;?\\s*`, 'g'),
+                type: 'console',
+                describe: match => ({ object: 'console', method: match[1] ?? match[3], computed: match[1] === undefined })
+            },
+            { regex: /print\s*\([^)]*\)\s*;?\s*/g, type: 'print', describe: () => ({ object: null, method: 'print' }) },
+            {
+                regex: /System\.out\.(print|printf|println|format)\s*\([^)]*\)\s*;?\s*/g,
+                type: 'system.out',
+                describe: match => ({ object: 'System.out', method: match[1] })
+            },
+            {
+                regex: /System\.err\.(print|printf|println|format)\s*\([^)]*\)\s*;?\s*/g,
+                type: 'system.err',
+                describe: match => ({ object: 'System.err', method: match[1] })
+            },
             { regex: /debugger\s*;?\s*/g, type: 'debugger' }
         ];
 
         const statements = [];
         const lines = code.split('\n');
 
-        patterns.forEach(({ regex, type }) => {
+        patterns.forEach(({ regex, type, describe }) => {
             let match;
             while ((match = regex.exec(code)) !== null) {
                 const start = match.index;
@@ -173,6 +1045,7 @@ class DebugStatementParser {
 
                 statements.push({
                     type,
+                    ...(describe ? describe(match) : {}),
                     line: lineNumber,
                     column: start - lineStart,
                     start,
@@ -183,6 +1056,10 @@ class DebugStatementParser {
             }
         });
 
+        this.customMatcher.scan(code).forEach(({ type, start, end, callee }) => {
+            statements.push(this.createStatement(code, type, start, end, { callee }));
+        });
+
         return statements.sort((a, b) => a.start - b.start);
     }
 
@@ -211,9 +1088,9 @@ class DebugStatementParser {
         return cleaner.previewChanges(code, statements);
     }
 
-    generateCleanupReport(originalCode, cleanResult) {
+    generateCleanupReport(originalCode, cleanResult, suppressedStatements = this.suppressedStatements) {
         const cleaner = new CodeCleaner();
-        return cleaner.generateCleanupReport(originalCode, cleanResult);
+        return cleaner.generateCleanupReport(originalCode, cleanResult, suppressedStatements);
     }
 }
 
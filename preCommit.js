@@ -0,0 +1,69 @@
+const { DebugStatementParser } = require('./parser');
+const { CodeCleaner } = require('./cleaner');
+const { ChangedLinesFilter } = require('./changedLines');
+
+class StagedChangesCleaner {
+    constructor(config, repository) {
+        this.config = config;
+        this.repository = repository;
+        this.filter = new ChangedLinesFilter(config);
+    }
+
+    analyze() {
+        const changedLines = this.filter.filterFiles(this.repository.getChangedLines(['--cached']));
+        const results = [];
+
+        changedLines.forEach((lines, filePath) => {
+            const code = this.repository.getStagedContent(filePath);
+            const parser = new DebugStatementParser(this.config);
+
+            // Whitespace cleaning would touch lines outside the staged diff
+            const cleaner = new CodeCleaner({ ...this.config, cleanWhitespace: false });
+
+            // Only statements touching added lines count; pre-existing logs belong to earlier commits
+            const statements = this.filter.selectStatements(
+                cleaner.filterStatementsByConfig(parser.parseCode(code, filePath)),
+                lines
+            );
+
+            if (statements.length > 0) {
+                results.push({ filePath, code, statements, parser, cleaner });
+            }
+        });
+
+        return results;
+    }
+
+    fix(results = this.analyze()) {
+        return results.map(({ filePath, code, statements, parser, cleaner }) => {
+            const cleanResult = cleaner.removeSelectedStatements(code, statements);
+            // Statements the cleaner leaves in place still reach the commit, so callers must block it
+            const skippedStatements = cleanResult.skippedStatements;
+
+            // A cleanup that breaks the file is not staged; the commit stays blocked instead
+            const syntaxError = parser.validateCleanup(code, cleanResult, filePath);
+            if (syntaxError) {
+                return {
+                    filePath,
+                    removedCount: 0,
+                    updatedWorkingTree: false,
+                    skippedStatements,
+                    rolledBack: parser.describeValidationError(syntaxError)
+                };
+            }
+
+            // Keep the working tree in sync unless it holds unstaged edits we must not clobber
+            const workingContent = this.repository.getWorkingContent(filePath);
+            const updatedWorkingTree = workingContent === code;
+
+            this.repository.writeStagedContent(filePath, cleanResult.cleanCode);
+            if (updatedWorkingTree) {
+                this.repository.writeWorkingContent(filePath, cleanResult.cleanCode);
+            }
+
+            return { filePath, removedCount: cleanResult.removedCount, updatedWorkingTree, skippedStatements };
+        });
+    }
+}
+
+module.exports = { StagedChangesCleaner };
@@ -0,0 +1,73 @@
+const vscode = require('vscode');
+
+const PREVIEW_SCHEME = 'debug-cleanup-preview';
+
+class CleanupPreviewProvider {
+    constructor() {
+        this.contents = new Map();
+        this.nextId = 0;
+        this.onDidChangeEmitter = new vscode.EventEmitter();
+        this.onDidChange = this.onDidChangeEmitter.event;
+    }
+
+    provideTextDocumentContent(uri) {
+        return this.contents.get(uri.toString()) ?? '';
+    }
+
+    createPreviewUris(documentUri, originalText, cleanText) {
+        // Keep the original path so the diff editor picks the right language mode
+        const id = ++this.nextId;
+        const path = documentUri.path || `/${documentUri.toString()}`;
+        const original = vscode.Uri.from({ scheme: PREVIEW_SCHEME, path, query: `original-${id}` });
+        const cleaned = vscode.Uri.from({ scheme: PREVIEW_SCHEME, path, query: `cleaned-${id}` });
+
+        this.contents.set(original.toString(), originalText);
+        this.contents.set(cleaned.toString(), cleanText);
+
+        return { original, cleaned };
+    }
+
+    release(uris) {
+        this.contents.delete(uris.original.toString());
+        this.contents.delete(uris.cleaned.toString());
+    }
+
+    async review(documentUri, originalText, cleanText, options = {}) {
+        const {
+            title = 'Debug Cleanup Preview',
+            message = 'Apply debug statement cleanup?',
+            actions = ['Apply', 'Discard']
+        } = options;
+
+        const uris = this.createPreviewUris(documentUri, originalText, cleanText);
+
+        try {
+            await vscode.commands.executeCommand('vscode.diff', uris.original, uris.cleaned, title, { preview: true });
+            return await vscode.window.showInformationMessage(message, ...actions);
+        } finally {
+            await this.closeDiff(uris.cleaned);
+            this.release(uris);
+        }
+    }
+
+    async closeDiff(cleanedUri) {
+        const target = cleanedUri.toString();
+        const tabs = vscode.window.tabGroups.all
+            .flatMap(group => group.tabs)
+            .filter(tab =>
+                tab.input instanceof vscode.TabInputTextDiff &&
+                tab.input.modified.toString() === target
+            );
+
+        if (tabs.length > 0) {
+            await vscode.window.tabGroups.close(tabs);
+        }
+    }
+
+    dispose() {
+        this.contents.clear();
+        this.onDidChangeEmitter.dispose();
+    }
+}
+
+module.exports = { CleanupPreviewProvider, PREVIEW_SCHEME };
@@ -0,0 +1,334 @@
+const { findUnbalancedBracket, findArgumentRanges } = require('./brackets');
+
+const BLOCK_KEYWORDS = [
+    'if', 'elif', 'else', 'for', 'while', 'def', 'class', 'with',
+    'try', 'except', 'finally', 'async', 'match', 'case'
+];
+
+const PRINT_CALLEES = ['print', 'pprint', 'pprint.pprint', 'pprint.pp'];
+const TRACE_CALLEES = ['breakpoint', 'pdb.set_trace', 'ipdb.set_trace'];
+
+const STRING_START = /[rRbBuUfF]{0,2}('''|"""|'|")/y;
+const NAME = /[\p{L}_][\p{L}\p{N}_]*/uy;
+const NUMBER = /\d[\w.]*|\.\d\w*/y;
+
+class PythonDebugParser {
+    constructor(options = {}) {
+        this.loggerNames = options.loggerNames ?? ['log', 'logger', 'LOG', 'LOGGER'];
+        this.loggerLevels = options.loggerLevels ?? ['debug', 'trace'];
+        this.customMatcher = options.customMatcher ?? null;
+    }
+
+    parse(code) {
+        const tokens = this.tokenize(code);
+        const logicalLines = this.buildLogicalLines(tokens, code);
+        const matches = [];
+
+        logicalLines.forEach(line => {
+            line.statements.forEach(statementTokens => {
+                const match = this.matchDebugCall(statementTokens, code);
+                if (match) {
+                    matches.push(match);
+                    line.debugMatches.push(match);
+                }
+            });
+        });
+
+        this.markEmptiedBlocks(logicalLines, code);
+
+        return matches
+            .map(match => this.finalizeMatch(match, code))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    findSyntaxError(code) {
+        const tokens = this.tokenize(code);
+        const bracketError = findUnbalancedBracket(tokens);
+        if (bracketError) {
+            return bracketError;
+        }
+
+        const logicalLines = this.buildLogicalLines(tokens, code);
+        for (let i = 0; i < logicalLines.length; i++) {
+            const line = logicalLines[i];
+            const next = logicalLines[i + 1];
+            if (line.opensBlock && (!next || next.indent <= line.indent)) {
+                return { message: 'Expected an indented block', start: line.end };
+            }
+        }
+
+        return null;
+    }
+
+    tokenize(code) {
+        const tokens = [];
+        let depth = 0;
+        let i = 0;
+
+        while (i < code.length) {
+            const ch = code[i];
+
+            if (ch === '#') {
+                // Comments run to the end of the physical line
+                const newline = code.indexOf('\n', i);
+                i = newline === -1 ? code.length : newline;
+                continue;
+            }
+
+            if (ch === '\\' && (code[i + 1] === '\n' || (code[i + 1] === '\r' && code[i + 2] === '\n'))) {
+                // Explicit line continuation joins physical lines
+                i += code[i + 1] === '\n' ? 2 : 3;
+                continue;
+            }
+
+            if (ch === '\n') {
+                if (depth === 0) {
+                    tokens.push({ type: 'newline', value: '\n', start: i, end: i + 1, depth });
+                }
+                i++;
+                continue;
+            }
+
+            if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f') {
+                i++;
+                continue;
+            }
+
+            STRING_START.lastIndex = i;
+            const stringMatch = STRING_START.exec(code);
+            if (stringMatch) {
+                const end = this.scanString(code, i + stringMatch[0].length, stringMatch[1]);
+                tokens.push({ type: 'string', value: code.substring(i, end), start: i, end, depth });
+                i = end;
+                continue;
+            }
+
+            NAME.lastIndex = i;
+            const nameMatch = NAME.exec(code);
+            if (nameMatch) {
+                tokens.push({ type: 'name', value: nameMatch[0], start: i, end: i + nameMatch[0].length, depth });
+                i += nameMatch[0].length;
+                continue;
+            }
+
+            NUMBER.lastIndex = i;
+            const numberMatch = NUMBER.exec(code);
+            if (numberMatch) {
+                tokens.push({ type: 'number', value: numberMatch[0], start: i, end: i + numberMatch[0].length, depth });
+                i += numberMatch[0].length;
+                continue;
+            }
+
+            // Walrus and return annotations must not be mistaken for a block colon
+            const op = code.startsWith(':=', i) || code.startsWith('->', i) ? code.substr(i, 2) : ch;
+
+            if (op === '(' || op === '[' || op === '{') {
+                tokens.push({ type: 'op', value: op, start: i, end: i + 1, depth });
+                depth++;
+            } else if (op === ')' || op === ']' || op === '}') {
+                depth = Math.max(0, depth - 1);
+                tokens.push({ type: 'op', value: op, start: i, end: i + 1, depth });
+            } else {
+                tokens.push({ type: 'op', value: op, start: i, end: i + op.length, depth });
+            }
+
+            i += op.length;
+        }
+
+        return tokens;
+    }
+
+    scanString(code, index, quote) {
+        const isTriple = quote.length === 3;
+        let i = index;
+
+        while (i < code.length) {
+            if (code[i] === '\\') {
+                i += 2;
+                continue;
+            }
+            if (code.startsWith(quote, i)) {
+                return i + quote.length;
+            }
+            if (!isTriple && code[i] === '\n') {
+                // Unterminated single-line string: stop at the end of the line
+                return i;
+            }
+            i++;
+        }
+
+        return code.length;
+    }
+
+    buildLogicalLines(tokens, code) {
+        const logicalLines = [];
+        let current = [];
+
+        const flush = () => {
+            if (current.length > 0) {
+                logicalLines.push(this.describeLogicalLine(current, code));
+                current = [];
+            }
+        };
+
+        tokens.forEach(token => {
+            if (token.type === 'newline') {
+                flush();
+            } else {
+                current.push(token);
+            }
+        });
+        flush();
+
+        return logicalLines;
+    }
+
+    describeLogicalLine(tokens, code) {
+        const segments = [[]];
+        tokens.forEach(token => {
+            if (token.type === 'op' && token.value === ';' && token.depth === 0) {
+                segments.push([]);
+            } else {
+                segments[segments.length - 1].push(token);
+            }
+        });
+
+        const lineStart = code.lastIndexOf('\n', tokens[0].start - 1) + 1;
+        const line = {
+            indent: tokens[0].start - lineStart,
+            end: tokens[tokens.length - 1].end,
+            opensBlock: false,
+            inlineBody: false,
+            statements: segments.filter(segment => segment.length > 0),
+            debugMatches: []
+        };
+
+        const first = line.statements[0];
+        if (first && first[0].type === 'name' && BLOCK_KEYWORDS.includes(first[0].value)) {
+            const colonIndex = first.findIndex(token => token.type === 'op' && token.value === ':' && token.depth === 0);
+
+            if (colonIndex !== -1) {
+                const body = first.slice(colonIndex + 1);
+                line.statements = body.length > 0 ? [body, ...line.statements.slice(1)] : line.statements.slice(1);
+                line.opensBlock = line.statements.length === 0;
+                line.inlineBody = line.statements.length > 0;
+            }
+        }
+
+        return line;
+    }
+
+    matchDebugCall(tokens, code) {
+        if (tokens[0].type !== 'name') {
+            return null;
+        }
+
+        const names = [tokens[0].value];
+        let index = 1;
+        while (
+            tokens[index]?.value === '.' &&
+            tokens[index + 1]?.type === 'name'
+        ) {
+            names.push(tokens[index + 1].value);
+            index += 2;
+        }
+
+        const open = tokens[index];
+        const close = tokens[tokens.length - 1];
+        if (!open || open.value !== '(' || close.value !== ')' || close.depth !== open.depth) {
+            return null;
+        }
+
+        // The call must be the whole statement, e.g. not `print(a)(b)` or `print(a) + 1`
+        for (let i = index + 1; i < tokens.length - 1; i++) {
+            if (tokens[i].depth <= open.depth) {
+                return null;
+            }
+        }
+
+        const callee = names.join('.');
+        const argumentsText = code.substring(open.end, close.start).trim();
+        const type = this.classifyCallee(callee) ?? this.customMatcher?.match(names, argumentsText)?.type;
+        if (!type) {
+            return null;
+        }
+
+        return {
+            type,
+            callee,
+            start: tokens[0].start,
+            end: close.end,
+            call: {
+                start: tokens[0].start,
+                end: close.end,
+                open: open.start,
+                arguments: findArgumentRanges(tokens, index, tokens.length - 1)
+            }
+        };
+    }
+
+    classifyCallee(callee) {
+        if (PRINT_CALLEES.includes(callee)) {
+            return 'print';
+        }
+        if (TRACE_CALLEES.includes(callee)) {
+            return 'debugger';
+        }
+
+        const names = callee.split('.');
+        const method = names[names.length - 1];
+        const receiver = names[names.length - 2];
+        if (
+            names.length >= 2 &&
+            (receiver === 'logging' || this.loggerNames.includes(receiver)) &&
+            this.loggerLevels.includes(method)
+        ) {
+            return 'logger';
+        }
+        return null;
+    }
+
+    markEmptiedBlocks(logicalLines, code) {
+        logicalLines.forEach((line, index) => {
+            if (line.inlineBody) {
+                // `if ready: print(x)` keeps its header, so the body becomes `pass`
+                if (line.debugMatches.length === line.statements.length) {
+                    line.debugMatches[0].replacement = 'pass';
+                }
+                return;
+            }
+
+            if (!line.opensBlock) {
+                return;
+            }
+
+            const body = [];
+            for (let i = index + 1; i < logicalLines.length && logicalLines[i].indent > line.indent; i++) {
+                body.push(logicalLines[i]);
+            }
+
+            const onlyDebug = body.length > 0 && body.every(bodyLine =>
+                !bodyLine.opensBlock &&
+                !bodyLine.inlineBody &&
+                bodyLine.debugMatches.length === bodyLine.statements.length
+            );
+
+            if (onlyDebug) {
+                body[0].debugMatches[0].replacement = 'pass';
+            }
+        });
+    }
+
+    finalizeMatch(match, code) {
+        if (match.replacement === undefined) {
+            // Swallow a trailing `;` so `print(a); x = 1` does not leave a stray separator
+            const semicolonMatch = code.substring(match.end).match(/^[ \t]*;/);
+            if (semicolonMatch) {
+                match.end += semicolonMatch[0].length;
+            }
+        }
+        return match;
+    }
+}
+
+module.exports = { PythonDebugParser };
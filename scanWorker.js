@@ -0,0 +1,29 @@
+const fs = require('fs');
+const { parentPort, workerData } = require('worker_threads');
+const { analyzeFile, hashContent } = require('./workspaceScan');
+
+parentPort.on('message', ({ filePath, text, cachedHash }) => {
+    try {
+        // The mtime is taken before reading, so a write in between only causes another read next time
+        const mtime = text === undefined ? fs.statSync(filePath).mtimeMs : undefined;
+        // document.getText() has no byte order mark, so the file is compared and cleaned without it too
+        const content = text === undefined ? fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '') : text;
+        const hash = hashContent(content);
+
+        if (hash === cachedHash) {
+            parentPort.postMessage({ mtime, hash, unchanged: true });
+            return;
+        }
+
+        const result = analyzeFile(content, filePath, workerData.config);
+        parentPort.postMessage({
+            mtime,
+            hash,
+            result,
+            // The text is only sent back when the file will be changed
+            text: result.removedCount > 0 ? content : undefined
+        });
+    } catch (error) {
+        parentPort.postMessage({ error: { stage: 'file', message: error.message, code: error.code } });
+    }
+});
@@ -0,0 +1,21 @@
+const SELECTION_MODES = ['contained', 'overlapping'];
+
+function statementInRange(statement, range, mode) {
+    if (mode === 'overlapping') {
+        return statement.start < range.end && statement.end > range.start;
+    }
+
+    // A selection that stops before the trailing `;` or newline still contains the statement
+    const end = statement.start + statement.text.replace(/[\s;]+$/, '').length;
+    return statement.start >= range.start && end <= range.end;
+}
+
+// Ranges are document offsets, one per selection; empty ones (plain cursors) select nothing
+function selectStatementsInRanges(statements, ranges, mode = 'contained') {
+    const resolvedMode = SELECTION_MODES.includes(mode) ? mode : 'contained';
+    const selected = ranges.filter(range => range.end > range.start);
+
+    return statements.filter(statement => selected.some(range => statementInRange(statement, range, resolvedMode)));
+}
+
+module.exports = { SELECTION_MODES, selectStatementsInRanges };
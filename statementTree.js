@@ -0,0 +1,142 @@
+const path = require('path');
+
+// Only what the tree shows and needs to find the statement again is kept for every file in the workspace
+function summarizeStatement(statement) {
+    const { type, line, column, text, skipReason } = statement;
+    return skipReason ? { type, line, column, text, skipReason } : { type, line, column, text };
+}
+
+// Folders come before files, as in the Explorer
+function compareNodes(a, b) {
+    return (a.kind === 'folder' ? 0 : 1) - (b.kind === 'folder' ? 0 : 1) || a.label.localeCompare(b.label);
+}
+
+function sortNodes(nodes) {
+    nodes.sort(compareNodes).forEach(node => {
+        if (node.kind === 'folder') {
+            sortNodes(node.children);
+        }
+    });
+    return nodes;
+}
+
+function addStatement(parent, statement) {
+    parent.count++;
+    if (statement.skipReason) {
+        parent.skippedCount++;
+    }
+}
+
+function buildFileNode(filePath, statements) {
+    const file = { kind: 'file', id: `file:${filePath}`, label: path.basename(filePath), filePath, count: 0, skippedCount: 0, children: [] };
+    const types = new Map();
+
+    [...statements].sort((a, b) => a.line - b.line || a.column - b.column).forEach(statement => {
+        if (!types.has(statement.type)) {
+            types.set(statement.type, {
+                kind: 'type',
+                id: `type:${filePath}:${statement.type}`,
+                label: statement.type,
+                filePath,
+                type: statement.type,
+                count: 0,
+                skippedCount: 0,
+                children: []
+            });
+        }
+
+        const typeNode = types.get(statement.type);
+        typeNode.children.push({
+            kind: 'statement',
+            id: `statement:${filePath}:${statement.line}:${statement.column}`,
+            label: statement.text.split('\n')[0].trim(),
+            filePath,
+            statement
+        });
+        addStatement(typeNode, statement);
+        addStatement(file, statement);
+    });
+
+    file.children = [...types.values()].sort(compareNodes);
+    return file;
+}
+
+// findings maps file paths to summarized statements; relativePath gives the path the folders are nested by
+function buildStatementTree(findings, relativePath = filePath => filePath) {
+    const root = { children: [] };
+    const folders = new Map();
+
+    const getFolder = folderPath => {
+        const parentPath = path.dirname(folderPath);
+        if (folderPath === '.' || parentPath === folderPath) {
+            return null;
+        }
+
+        if (!folders.has(folderPath)) {
+            const folder = {
+                kind: 'folder',
+                id: `folder:${folderPath}`,
+                label: path.basename(folderPath),
+                count: 0,
+                skippedCount: 0,
+                children: []
+            };
+            (getFolder(parentPath) || root).children.push(folder);
+            folders.set(folderPath, folder);
+        }
+
+        return folders.get(folderPath);
+    };
+
+    findings.forEach((statements, filePath) => {
+        if (statements.length === 0) {
+            return;
+        }
+
+        const file = buildFileNode(filePath, statements);
+        const folderPath = path.dirname(relativePath(filePath));
+        (getFolder(folderPath) || root).children.push(file);
+
+        // Every enclosing folder counts the file's statements
+        for (let current = folderPath; getFolder(current); current = path.dirname(current)) {
+            const folder = getFolder(current);
+            folder.count += file.count;
+            folder.skippedCount += file.skippedCount;
+        }
+    });
+
+    return sortNodes(root.children);
+}
+
+// Zero-based positions, as vscode.Range expects them
+function getStatementRange(statement) {
+    const lines = statement.text.split('\n');
+    const startLine = statement.line - 1;
+
+    return {
+        start: { line: startLine, character: statement.column },
+        end: {
+            line: startLine + lines.length - 1,
+            character: lines.length === 1 ? statement.column + statement.text.length : lines[lines.length - 1].length
+        }
+    };
+}
+
+// The file may have been edited since the tree was built, so the closest statement with the same text wins
+function findMatchingStatement(statements, target) {
+    const candidates = statements.filter(statement => statement.type === target.type && statement.text === target.text);
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    return candidates.reduce((best, statement) =>
+        Math.abs(statement.line - target.line) < Math.abs(best.line - target.line) ? statement : best
+    );
+}
+
+module.exports = {
+    buildStatementTree,
+    findMatchingStatement,
+    getStatementRange,
+    summarizeStatement
+};
@@ -0,0 +1,103 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GitRepository } = require('../git');
+const { CHANGE_SOURCES, ChangedLinesFilter, statementIntersectsLines } = require('../changedLines');
+const { DebugStatementParser } = require('../parser');
+const { CodeCleaner } = require('../cleaner');
+const { git } = require('./fixtures/helpers');
+
+suite('Changed Lines Tests', () => {
+    let workspace;
+    let repository;
+    let filter;
+
+    function writeFile(relativePath, content) {
+        const filePath = path.join(workspace, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    }
+
+    function changedLines(source, ref) {
+        const result = {};
+        filter.collect(repository, source, ref).forEach((lines, filePath) => {
+            result[filePath] = [...lines].sort((a, b) => a - b);
+        });
+        return result;
+    }
+
+    setup(() => {
+        workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'debug-cleanup-changed-'));
+        git(workspace, 'init', '--quiet', '--initial-branch=main');
+        writeFile('app.js', `function run() {\n    console.log('legacy');\n    return 1;\n}\n`);
+        git(workspace, 'add', '.');
+        git(workspace, 'commit', '--quiet', '-m', 'initial');
+
+        repository = GitRepository.open(workspace);
+        filter = new ChangedLinesFilter({ excludePatterns: ['**/node_modules/**'] });
+    });
+
+    teardown(() => {
+        fs.rmSync(workspace, { recursive: true, force: true });
+    });
+
+    test('should match statements spanning a changed line', () => {
+        const statement = { line: 3, text: `console.log(\n    value\n)` };
+
+        assert.strictEqual(statementIntersectsLines(statement, new Set([5])), true);
+        assert.strictEqual(statementIntersectsLines(statement, new Set([2, 6])), false);
+    });
+
+    test('should collect staged and unstaged changes since HEAD', () => {
+        writeFile('app.js', `function run() {\n    console.log('legacy');\n    console.log('staged');\n    return 1;\n}\n`);
+        git(workspace, 'add', 'app.js');
+        writeFile('app.js', `function run() {\n    console.log('legacy');\n    console.log('staged');\n    debugger;\n    return 1;\n}\n`);
+
+        assert.deepStrictEqual(changedLines(CHANGE_SOURCES.head), { 'app.js': [3, 4] });
+    });
+
+    test('should collect only unstaged changes for the working tree', () => {
+        writeFile('app.js', `function run() {\n    console.log('legacy');\n    console.log('staged');\n    return 1;\n}\n`);
+        git(workspace, 'add', 'app.js');
+        writeFile('app.js', `function run() {\n    console.log('legacy');\n    console.log('staged');\n    debugger;\n    return 1;\n}\n`);
+
+        assert.deepStrictEqual(changedLines(CHANGE_SOURCES.workingTree), { 'app.js': [4] });
+    });
+
+    test('should collect changes since the merge base with a branch', () => {
+        git(workspace, 'checkout', '--quiet', '-b', 'feature');
+        writeFile('app.js', `function run() {\n    console.log('legacy');\n    return 2;\n}\n`);
+        git(workspace, 'commit', '--quiet', '-am', 'feature work');
+        writeFile('app.js', `function run() {\n    console.log('legacy');\n    return 2;\n}\ndebugger;\n`);
+
+        assert.deepStrictEqual(changedLines(CHANGE_SOURCES.branch, 'main'), { 'app.js': [3, 5] });
+        assert.ok(repository.getBranches().includes('main'));
+    });
+
+    test('should treat untracked files as entirely changed and honor excludes', () => {
+        writeFile('src/new.js', `console.log('a');\nconsole.log('b');`);
+        writeFile('node_modules/lib/index.js', `console.log('vendor');\n`);
+        writeFile('notes.txt', `console.log('text');\n`);
+
+        assert.deepStrictEqual(changedLines(CHANGE_SOURCES.head), { 'src/new.js': [1, 2] });
+    });
+
+    test('should leave statements outside the changed lines in place', () => {
+        const code = `function run() {\n    console.log('legacy');\n    console.log('new');\n    return 1;\n}\n`;
+        writeFile('app.js', code);
+
+        const lines = filter.collect(repository, CHANGE_SOURCES.head).get('app.js');
+        const statements = filter.selectStatements(new DebugStatementParser().parseCode(code, 'app.js'), lines);
+        const cleanResult = new CodeCleaner({ removeConsoleLog: true, cleanWhitespace: false })
+            .removeDebugStatements(code, statements);
+
+        assert.strictEqual(cleanResult.removedCount, 1);
+        assert.strictEqual(cleanResult.cleanCode, `function run() {\n    console.log('legacy');\n    return 1;\n}\n`);
+    });
+
+    test('should reject unknown change sources', () => {
+        assert.throws(() => filter.collect(repository, 'stash'), /Unknown change source/);
+    });
+});
@@ -123,6 +123,62 @@ function calculateSum(a, b) {
         });
     });
 
+    suite('Method-based Filtering', () => {
+        test('should not treat string content as the called method', () => {
+            const code = `console.error('console.log failed');\nconsole.log('done');\n`;
+            const statements = parser.parseCode(code, 'test.js');
+
+            const result = new CodeCleaner({ consoleMethods: { log: true, error: false } }).removeDebugStatements(code, statements);
+
+            assert.strictEqual(result.cleanCode, `console.error('console.log failed');\n`);
+        });
+
+        test('should not let string content bypass a disabled toggle', () => {
+            const code = `console.log('see console.error output');\n`;
+            const statements = parser.parseCode(code, 'test.js');
+
+            const result = new CodeCleaner({ consoleMethods: { log: false } }).removeDebugStatements(code, statements);
+
+            assert.strictEqual(result.removedCount, 0);
+        });
+
+        test('should filter aliased and computed calls by their resolved method', () => {
+            const code = `const fail = console.error;\nconst { log } = console;\nfail('a');\nlog('b');\nconsole['error']('c');\n`;
+            const statements = parser.parseCode(code, 'test.js');
+
+            const result = new CodeCleaner({ consoleMethods: { log: true, error: false } }).removeDebugStatements(code, statements);
+
+            assert.strictEqual(result.removedCount, 1);
+            assert.deepStrictEqual(result.removedStatements.map(s => s.alias), ['log']);
+        });
+    });
+
+    suite('Selective Removal', () => {
+        test('should remove exactly the selected statements regardless of config', () => {
+            const cleanerWithConfig = new CodeCleaner({ removeConsoleError: false });
+            const code = `console.log('a');
+console.error('b');
+console.log('c');
+`;
+
+            const statements = parser.parseCode(code, 'test.js');
+            const picked = [statements[1], statements[2]];
+            const result = cleanerWithConfig.removeSelectedStatements(code, picked);
+
+            assert.strictEqual(result.removedCount, 2);
+            assert.strictEqual(result.cleanCode, "console.log('a');\n");
+            assert.strictEqual(picked[0], statements[1], 'Should not reorder the caller array');
+        });
+
+        test('should return the code unchanged when nothing is selected', () => {
+            const code = `console.log('a');`;
+            const result = cleaner.removeSelectedStatements(code, []);
+
+            assert.strictEqual(result.removedCount, 0);
+            assert.strictEqual(result.cleanCode, code);
+        });
+    });
+
     suite('Whitespace Cleaning', () => {
         test('should clean excessive blank lines', () => {
             const code = `function test() {
@@ -400,6 +456,23 @@ function test() {
             assert.ok(byType.print.length > 0);
         });
 
+        test('should report statements kept by suppression comments', () => {
+            const code = `
+console.log('keep'); // cleanup-keep
+console.log('remove');
+`;
+
+            const statements = parser.parseCode(code, 'test.js');
+            const result = cleaner.removeDebugStatements(code, statements);
+            const report = cleaner.generateCleanupReport(code, result, parser.suppressedStatements);
+
+            assert.strictEqual(report.removedCount, 1);
+            assert.strictEqual(report.suppressedCount, 1);
+            assert.strictEqual(report.suppressedStatements[0].line, 2);
+            assert.strictEqual(report.suppressedStatements[0].suppression, 'keep');
+            assert.ok(result.cleanCode.includes("console.log('keep');"));
+        });
+
         test('should preview changes before applying', () => {
             const code = `
 function test() {
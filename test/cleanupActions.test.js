@@ -0,0 +1,132 @@
+const assert = require('assert');
+const { DebugStatementParser } = require('../parser');
+const { CodeCleaner } = require('../cleaner');
+
+suite('Cleanup Action Tests', () => {
+    function clean(code, filePath, cleanupAction, config = {}) {
+        const parser = new DebugStatementParser();
+        const cleaner = new CodeCleaner({ cleanupAction, ...config });
+        return cleaner.removeDebugStatements(code, parser.parseCode(code, filePath));
+    }
+
+    suite('Comment', () => {
+        test('should comment out multi-line statements line by line', () => {
+            const code = `function f() {\n    console.log({\n        a: 1\n    }); // note\n    run();\n}\n`;
+
+            const result = clean(code, 'app.js', 'comment');
+
+            assert.strictEqual(result.cleanCode, [
+                `function f() {`,
+                `    // debug-cleanup: console.log({`,
+                `    // debug-cleanup...     a: 1`,
+                `    // debug-cleanup... }); // note`,
+                `    run();`,
+                `}`,
+                ``
+            ].join('\n'));
+            assert.strictEqual(result.removedCount, 1);
+        });
+
+        test('should use block comments for statements sharing a line or forming a body', () => {
+            const code = `foo(); console.log(1); bar();\nif (x) console.log(2); else g();\n`;
+
+            assert.strictEqual(
+                clean(code, 'app.js', 'comment').cleanCode,
+                `foo(); /* debug-cleanup: console.log(1); */ bar();\nif (x) { /* debug-cleanup: console.log(2); */ } else g();\n`
+            );
+        });
+
+        test('should use # and keep blocks valid in Python', () => {
+            const code = `def f():\n    print(1)\n\ndef g(x):\n    print(x,\n          2)\n    if x: print(3)\n    run()\n`;
+
+            assert.strictEqual(clean(code, 'tool.py', 'comment').cleanCode, [
+                `def f():`,
+                `    pass  # debug-cleanup: print(1)`,
+                ``,
+                `def g(x):`,
+                `    # debug-cleanup: print(x,`,
+                `    # debug-cleanup...       2)`,
+                `    if x: pass  # debug-cleanup: print(3)`,
+                `    run()`,
+                ``
+            ].join('\n'));
+        });
+
+        test('should skip calls that are not whole statements', () => {
+            const result = clean(`const v = ok ? console.log(1) : 0;\nconsole.log(i++);\n`, 'app.js', 'comment');
+
+            assert.strictEqual(result.removedCount, 0);
+            assert.deepStrictEqual(result.skippedStatements.map(statement => statement.skipReason), [
+                'Only whole statements can be commented out',
+                'Arguments have side effects: i++'
+            ]);
+        });
+    });
+
+    suite('Guard', () => {
+        test('should wrap statements in the guard for their language', () => {
+            const js = clean(`console.log(1);\nif (x) console.log(2); else g();\n`, 'app.js', 'guard');
+            const python = clean(`def f():\n    print(1)\n`, 'tool.py', 'guard');
+            const java = clean(`class A {\n    void f() {\n        System.out.println(1);\n    }\n}\n`, 'A.java', 'guard');
+
+            assert.strictEqual(
+                js.cleanCode,
+                `if (process.env.DEBUG) { console.log(1); }\nif (x) { if (process.env.DEBUG) { console.log(2); } } else g();\n`
+            );
+            assert.strictEqual(python.cleanCode, `def f():\n    if __debug__: print(1)\n`);
+            assert.strictEqual(
+                java.cleanCode,
+                `class A {\n    void f() {\n        if (Boolean.getBoolean("debug")) { System.out.println(1); }\n    }\n}\n`
+            );
+        });
+
+        test('should use configured conditions and not guard twice', () => {
+            const config = { guardConditions: { javascript: 'DEBUG' } };
+            const once = clean(`debugger;\n`, 'app.js', 'guard', config);
+            const twice = clean(once.cleanCode, 'app.js', 'guard', config);
+
+            assert.strictEqual(once.cleanCode, `if (DEBUG) { debugger; }\n`);
+            assert.strictEqual(twice.cleanCode, once.cleanCode);
+            assert.strictEqual(twice.skippedStatements[0].skipReason, 'Already guarded');
+        });
+
+        test('should tell guarded statements apart', () => {
+            const code = `if (process.env.DEBUG) { console.log(1); }\nif (DEBUG) { console.log(2); }\n`;
+            const cleaner = new CodeCleaner({ cleanupAction: 'guard' });
+            const statements = new DebugStatementParser().parseCode(code, 'app.js');
+
+            assert.deepStrictEqual(statements.map(statement => cleaner.isGuarded(code, statement)), [true, false]);
+        });
+
+        test('should skip Python statements sharing a line', () => {
+            const result = clean(`a = 1; print(a)\n`, 'tool.py', 'guard');
+
+            assert.strictEqual(result.removedCount, 0);
+            assert.strictEqual(result.skippedStatements[0].skipReason, 'Python statements sharing a line with other code cannot be guarded');
+        });
+    });
+
+    suite('Restore', () => {
+        const samples = {
+            'app.js': `function f(x) {\n    console.log({\n        a: 1,\n\n    });\n    if (x) console.log(1); else g();\n    foo(); console.log(2);\n}\n`,
+            'tool.py': `def f(x):\n    print(x,\n          1)\n    if x: print(1)\n\ndef g():\n    print(3)\n`,
+            'A.java': `class A {\n    void f(int x) {\n        System.out.println(x);\n        if (x > 0) System.out.println(1);\n    }\n}\n`
+        };
+
+        Object.entries(samples).forEach(([filePath, code]) => {
+            test(`should restore ${filePath} exactly`, () => {
+                const commented = clean(code, filePath, 'comment');
+                const restored = new CodeCleaner().restoreCommentedStatements(commented.cleanCode);
+
+                assert.strictEqual(restored.cleanCode, code);
+                assert.strictEqual(restored.restoredCount, commented.removedCount);
+            });
+        });
+
+        test('should leave other comments alone', () => {
+            const code = `// debug: keep this\n/* debug-cleanup is a tool */\n# debug-cleanup notes\n`;
+
+            assert.deepStrictEqual(new CodeCleaner().restoreCommentedStatements(code), { cleanCode: code, restoredCount: 0 });
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CleanupCli } = require('../cli');
+const { createOutput } = require('./fixtures/helpers');
+
+suite('CLI Tests', () => {
+    let workspace;
+    let stdout;
+    let stderr;
+    let cli;
+
+    function writeFile(relativePath, content) {
+        const filePath = path.join(workspace, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    }
+
+    setup(() => {
+        workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'debug-cleanup-cli-'));
+        stdout = createOutput();
+        stderr = createOutput();
+        cli = new CleanupCli({ cwd: workspace, stdout, stderr });
+    });
+
+    teardown(() => {
+        fs.rmSync(workspace, { recursive: true, force: true });
+    });
+
+    suite('check', () => {
+        test('should print file:line:column findings and exit non-zero', () => {
+            writeFile('src/app.js', `const a = 1;\n  console.log(a);\n`);
+            writeFile('scripts/tool.py', `print("x")\n`);
+
+            const exitCode = cli.run(['check']);
+
+            assert.strictEqual(exitCode, 1);
+            assert.ok(stdout.text.includes('src/app.js:2:3: console: console.log(a);'));
+            assert.ok(stdout.text.includes('scripts/tool.py:1:1: print: print("x")'));
+            assert.ok(stderr.text.includes('Found 2 debug statement(s) in 2 file(s)'));
+        });
+
+        test('should exit zero when the files are clean', () => {
+            writeFile('src/app.js', `const a = 1;\n`);
+
+            assert.strictEqual(cli.run(['check']), 0);
+            assert.ok(stdout.text.includes('No debug statements found in 1 file(s)'));
+        });
+
+        test('should skip the default exclude patterns', () => {
+            writeFile('node_modules/lib/index.js', `console.log('vendor');\n`);
+            writeFile('dist/bundle.js', `console.log('built');\n`);
+
+            assert.strictEqual(cli.run(['check']), 0);
+        });
+
+        test('should honor include and exclude arguments', () => {
+            writeFile('src/app.js', `console.log('app');\n`);
+            writeFile('src/legacy/old.js', `console.log('old');\n`);
+            writeFile('test/spec.js', `console.log('spec');\n`);
+
+            const exitCode = cli.run(['check', '--include', 'src/**/*.js', '--exclude', '**/legacy/**']);
+
+            assert.strictEqual(exitCode, 1);
+            assert.ok(stdout.text.includes('src/app.js'));
+            assert.ok(!stdout.text.includes('old.js'));
+            assert.ok(!stdout.text.includes('spec.js'));
+        });
+
+        test('should accept explicit file paths', () => {
+            writeFile('one.js', `debugger;\n`);
+            writeFile('two.js', `debugger;\n`);
+
+            cli.run(['check', 'one.js']);
+
+            assert.ok(stdout.text.includes('one.js:1:1: debugger'));
+            assert.ok(!stdout.text.includes('two.js'));
+        });
+    });
+
+    suite('fix', () => {
+        test('should rewrite files in place', () => {
+            const filePath = writeFile('src/app.js', `const a = 1;\nconsole.log(a);\nconsole.error(a);\n`);
+
+            const exitCode = cli.run(['fix']);
+
+            assert.strictEqual(exitCode, 0);
+            assert.strictEqual(fs.readFileSync(filePath, 'utf8'), `const a = 1;\nconsole.error(a);\n`);
+            assert.ok(stdout.text.includes('src/app.js: removed 1 debug statement(s)'));
+        });
+
+        test('should list the statements it skips and exit non-zero', () => {
+            const filePath = writeFile('app.js', `console.log(1);\nconsole.log(i++);\nconst v = console.log(2);\n`);
+
+            const exitCode = cli.run(['fix']);
+
+            assert.strictEqual(exitCode, 1);
+            assert.strictEqual(fs.readFileSync(filePath, 'utf8'), `console.log(i++);\nconst v = console.log(2);\n`);
+            assert.ok(stderr.text.includes('app.js:2:1: console: console.log(i++); (Arguments have side effects: i++)'));
+            assert.ok(stderr.text.includes('app.js:3:11: console:'));
+            assert.ok(stderr.text.includes('Left 2 debug statement(s) in place'));
+        });
+    });
+
+    suite('Configuration', () => {
+        test('should read settings from the default config file', () => {
+            writeFile('.debug-cleanup.json', JSON.stringify({ 'debugCleanupPro.removeConsoleLog': false }));
+            writeFile('app.js', `console.log('kept');\n`);
+
+            assert.strictEqual(cli.run(['check']), 0);
+        });
+
+        test('should read settings from --config with unprefixed keys', () => {
+            writeFile('cleanup/settings.json', JSON.stringify({ removeConsoleError: true, includeFileTypes: ['javascript'] }));
+            writeFile('app.js', `console.error('removed');\n`);
+            writeFile('tool.py', `print("ignored")\n`);
+
+            assert.strictEqual(cli.run(['check', '--config', 'cleanup/settings.json']), 1);
+            assert.ok(stdout.text.includes('app.js:1:1: console'));
+            assert.ok(!stdout.text.includes('tool.py'));
+        });
+
+        test('should report usage errors with exit code 2', () => {
+            assert.strictEqual(cli.run(['lint']), 2);
+            assert.ok(stderr.text.includes('Unknown command lint'));
+
+            assert.strictEqual(cli.run(['check', '--config', 'missing.json']), 2);
+            assert.ok(stderr.text.includes('Config file not found'));
+        });
+    });
+});
@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { DebugStatementParser } = require('../parser');
+const { CodeCleaner } = require('../cleaner');
+
+suite('Comment Preservation Tests', () => {
+    const code = [
+        `function run(user) {`,
+        `    setup();`,
+        ``,
+        `    // log the user`,
+        `    // before saving`,
+        `    console.log(user /* raw */); // TODO remove`,
+        `    save(user); // persist`,
+        `}`,
+        ``
+    ].join('\n');
+
+    let parser;
+
+    setup(() => {
+        parser = new DebugStatementParser();
+    });
+
+    function clean(source, preserveComments) {
+        const statements = parser.parseCode(source, 'test.js');
+        return new CodeCleaner({ preserveComments }).removeDebugStatements(source, statements).cleanCode;
+    }
+
+    suite('Detection', () => {
+        test('should attach leading, trailing and inner comments', () => {
+            const [statement] = parser.parseCode(code, 'test.js');
+
+            assert.deepStrictEqual(statement.comments.leading.map(comment => comment.text), ['// log the user', '// before saving']);
+            assert.deepStrictEqual(statement.comments.trailing.map(comment => comment.text), ['// TODO remove']);
+            assert.deepStrictEqual(statement.comments.inner.map(comment => comment.text), ['/* raw */']);
+        });
+
+        test('should not attach comments separated by a blank line or belonging to other code', () => {
+            const source = `// header\n\nsetup(); // setup note\nconsole.log(1);\n`;
+
+            const [statement] = parser.parseCode(source, 'test.js');
+
+            assert.strictEqual(statement.comments, undefined);
+        });
+
+        test('should never attach suppression directives', () => {
+            const source = `// cleanup-enable\nconsole.log(1);\n`;
+
+            assert.strictEqual(parser.parseCode(source, 'test.js')[0].comments, undefined);
+            assert.strictEqual(clean(source, 'removeAttached'), `// cleanup-enable\n`);
+        });
+    });
+
+    suite('Modes', () => {
+        test('should keep every comment in keep mode', () => {
+            assert.strictEqual(clean(code, 'keep'), [
+                `function run(user) {`,
+                `    setup();`,
+                ``,
+                `    // log the user`,
+                `    // before saving`,
+                `    /* raw */ // TODO remove`,
+                `    save(user); // persist`,
+                `}`,
+                ``
+            ].join('\n'));
+        });
+
+        test('should drop only inner comments in removeInner mode', () => {
+            assert.strictEqual(clean(code, 'removeInner'), [
+                `function run(user) {`,
+                `    setup();`,
+                ``,
+                `    // log the user`,
+                `    // before saving`,
+                `    // TODO remove`,
+                `    save(user); // persist`,
+                `}`,
+                ``
+            ].join('\n'));
+        });
+
+        test('should remove attached comments in removeAttached mode', () => {
+            assert.strictEqual(clean(code, 'removeAttached'), `function run(user) {\n    setup();\n\n    save(user); // persist\n}\n`);
+        });
+
+        test('should turn inner line comments into block comments when kept', () => {
+            const source = `console.log(a, // first\n    b);\nrun();\n`;
+
+            assert.strictEqual(clean(source, 'keep'), `/* first */\nrun();\n`);
+        });
+
+        test('should map the old boolean values', () => {
+            assert.strictEqual(new CodeCleaner({ preserveComments: true }).config.preserveComments, 'keep');
+            assert.strictEqual(new CodeCleaner({ preserveComments: false }).config.preserveComments, 'removeAttached');
+            assert.strictEqual(new CodeCleaner().config.preserveComments, 'keep');
+        });
+    });
+});
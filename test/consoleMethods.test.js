@@ -0,0 +1,140 @@
+const assert = require('assert');
+const { DebugStatementParser } = require('../parser');
+const { CodeCleaner } = require('../cleaner');
+const { CONSOLE_METHODS, resolveConsoleMethods } = require('../consoleMethods');
+
+suite('Console Method Tests', () => {
+    let parser;
+
+    setup(() => {
+        parser = new DebugStatementParser();
+    });
+
+    suite('Detection', () => {
+        test('should detect every method of the console API', () => {
+            const methods = Object.keys(CONSOLE_METHODS);
+            const code = methods.map(method => `console.${method}('x');`).join('\n');
+
+            const statements = parser.parseCode(code, 'test.js');
+
+            assert.deepStrictEqual(statements.map(s => s.method), methods);
+            assert.ok(statements.every(s => s.type === 'console'));
+        });
+
+        test('should record the method in the fallback parser', () => {
+            const statements = parser.fallbackRegexParse(`console.dirxml(node);\nconsole.countReset();\n`);
+
+            assert.deepStrictEqual(statements.map(s => s.method), ['dirxml', 'countReset']);
+        });
+    });
+
+    suite('Per-method toggles', () => {
+        test('should use the defaults for methods missing from the map', () => {
+            const methods = resolveConsoleMethods({ consoleMethods: { table: false } });
+
+            assert.strictEqual(methods.table, false);
+            assert.strictEqual(methods.log, true);
+            assert.strictEqual(methods.error, false);
+        });
+
+        test('should let explicit legacy settings override the map', () => {
+            const methods = resolveConsoleMethods({
+                consoleMethods: { log: true, warn: false },
+                removeConsoleLog: false,
+                removeConsoleWarn: null
+            });
+
+            assert.strictEqual(methods.log, false);
+            assert.strictEqual(methods.warn, false);
+        });
+
+        test('should filter statements by method', () => {
+            const code = `console.log(1);\nconsole.dir(obj);\nconsole.count();\nconsole.assert(ok);\n`;
+            const statements = parser.parseCode(code, 'test.js');
+            const cleaner = new CodeCleaner({ consoleMethods: { dir: false, assert: false } });
+
+            const result = cleaner.removeDebugStatements(code, statements);
+
+            assert.strictEqual(result.cleanCode, `console.dir(obj);\nconsole.assert(ok);\n`);
+        });
+
+        test('should apply them when removing every statement of a type', () => {
+            const code = `console.log(x);\ntry { run(); } catch (e) { console.error(e); }\n`;
+            const statements = parser.parseCode(code, 'test.js');
+
+            const result = new CodeCleaner().removeStatementsOfType(code, statements, 'console');
+
+            assert.strictEqual(result.removedCount, 1);
+            assert.strictEqual(result.cleanCode, `try { run(); } catch (e) { console.error(e); }\n`);
+        });
+    });
+
+    suite('Group pairs', () => {
+        const code = [
+            `console.group('outer');`,
+            `console.groupCollapsed('inner');`,
+            `console.log('value');`,
+            `console.groupEnd();`,
+            `console.groupEnd();`,
+            `run();`,
+            ``
+        ].join('\n');
+
+        test('should pair nested groups with their groupEnd', () => {
+            const statements = parser.parseCode(code, 'test.js');
+            const pairs = statements.map(s => s.groupPair);
+
+            assert.strictEqual(pairs[0], pairs[4]);
+            assert.strictEqual(pairs[1], pairs[3]);
+            assert.notStrictEqual(pairs[0], pairs[1]);
+            assert.strictEqual(pairs[2], undefined);
+        });
+
+        test('should keep groupEnd when its group is disabled', () => {
+            const statements = parser.parseCode(code, 'test.js');
+            const cleaner = new CodeCleaner({ consoleMethods: { groupCollapsed: false } });
+
+            const result = cleaner.removeDebugStatements(code, statements);
+
+            assert.strictEqual(result.cleanCode, `console.groupCollapsed('inner');\nconsole.groupEnd();\nrun();\n`);
+        });
+
+        test('should remove groupEnd with its group even when groupEnd is disabled', () => {
+            const statements = parser.parseCode(code, 'test.js');
+            const cleaner = new CodeCleaner({ consoleMethods: { groupEnd: false } });
+
+            const result = cleaner.removeDebugStatements(code, statements);
+
+            assert.strictEqual(result.cleanCode, `run();\n`);
+        });
+
+        test('should apply its own toggle to an unmatched groupEnd', () => {
+            const unmatched = `console.groupEnd();\nrun();\n`;
+            const statements = parser.parseCode(unmatched, 'test.js');
+
+            assert.strictEqual(new CodeCleaner({ consoleMethods: { groupEnd: false } }).filterStatementsByConfig(statements).length, 0);
+            assert.strictEqual(new CodeCleaner().filterStatementsByConfig(statements).length, 1);
+        });
+
+        test('should keep both halves when one half is suppressed', () => {
+            const suppressed = `console.group('kept'); // cleanup-keep\nconsole.log(1);\nconsole.groupEnd();\n`;
+
+            const statements = parser.parseCode(suppressed, 'test.js');
+
+            assert.deepStrictEqual(statements.map(s => s.method), ['log']);
+            assert.deepStrictEqual(parser.suppressedStatements.map(s => [s.method, s.suppression]), [
+                ['group', 'keep'],
+                ['groupEnd', 'group']
+            ]);
+        });
+
+        test('should expand a selection to the matching half', () => {
+            const statements = parser.parseCode(code, 'test.js');
+            const cleaner = new CodeCleaner();
+
+            const expanded = cleaner.expandGroupPairs([statements[1]], statements);
+
+            assert.deepStrictEqual(expanded.map(s => s.line).sort(), [2, 4]);
+        });
+    });
+});
@@ -0,0 +1,191 @@
+const assert = require('assert');
+const { DebugStatementParser } = require('../parser');
+const { CodeCleaner } = require('../cleaner');
+const { CustomPatternMatcher } = require('../customPatterns');
+
+suite('Custom Pattern Tests', () => {
+    const customPatterns = [
+        { callee: 'dbg', type: 'dbg' },
+        { callee: 'logger.verbose', type: 'verbose', languages: ['javascript', 'typescript', 'python', 'java'] },
+        { callee: 'this.$log.debug', type: 'vue-log' },
+        { callee: 'trace', type: 'trace' },
+        { callee: 'metrics.*', arguments: '^["\']debug\\.', type: 'debug-metric' }
+    ];
+
+    function parse(code, filePath = 'test.js', options = {}) {
+        const parser = new DebugStatementParser({ customPatterns, ...options });
+        return parser.parseCode(code, filePath);
+    }
+
+    suite('JavaScript', () => {
+        test('should match bare and dotted callees structurally', () => {
+            const statements = parse(`dbg(user);\nlogger.verbose('loaded', items);\nlogger.info('kept');\n`);
+
+            assert.deepStrictEqual(statements.map(s => [s.type, s.callee, s.line]), [
+                ['dbg', 'dbg', 1],
+                ['verbose', 'logger.verbose', 2]
+            ]);
+        });
+
+        test('should match this-based member chains and computed string access', () => {
+            const statements = parse(`export default {\n    mounted() {\n        this.$log.debug('mounted');\n        this.$log['debug']('again');\n    }\n};\n`);
+
+            assert.deepStrictEqual(statements.map(s => s.type), ['vue-log', 'vue-log']);
+        });
+
+        test('should not match longer chains or different receivers', () => {
+            const statements = parse(`app.logger.verbose('x');\nobj.dbg(1);\ndbg.call(null, 1);\n`);
+
+            assert.strictEqual(statements.length, 0);
+        });
+
+        test('should ignore callee names inside strings and comments', () => {
+            const statements = parse(`const s = "dbg(x)";\n// dbg(y)\n`);
+
+            assert.strictEqual(statements.length, 0);
+        });
+
+        test('should remove a guarded call as a whole statement', () => {
+            const code = `function run() {\n    DEBUG && trace('state', state);\n    return state;\n}\n`;
+            const statements = parse(code);
+
+            assert.strictEqual(statements.length, 1);
+            assert.strictEqual(statements[0].text, `DEBUG && trace('state', state);`);
+
+            const result = new CodeCleaner({ customPatterns }).removeDebugStatements(code, statements);
+            assert.strictEqual(result.cleanCode, `function run() {\n    return state;\n}\n`);
+        });
+
+        test('should apply the argument matcher and wildcard segments', () => {
+            const statements = parse(`metrics.count('debug.cache', 1);\nmetrics.count('requests', 1);\nmetrics.gauge("debug.heap", 2);\n`);
+
+            assert.deepStrictEqual(statements.map(s => s.line), [1, 3]);
+            assert.ok(statements.every(s => s.type === 'debug-metric'));
+        });
+
+        test('should work in TypeScript', () => {
+            const statements = parse(`const n: number = 1;\ndbg<number>(n);\n`, 'test.ts');
+
+            assert.strictEqual(statements.length, 1);
+            assert.strictEqual(statements[0].type, 'dbg');
+        });
+
+        test('should keep built-in detection ahead of custom patterns', () => {
+            const statements = parse(`console.log(1);\n`, 'test.js', {
+                customPatterns: [{ callee: 'console.log', type: 'mine' }]
+            });
+
+            assert.strictEqual(statements[0].type, 'console');
+        });
+    });
+
+    suite('Language filter', () => {
+        test('should skip patterns for other languages', () => {
+            const statements = parse(`logger.verbose('x');\n`, 'test.jsx');
+
+            assert.strictEqual(statements.length, 0);
+        });
+
+        test('should match Python calls through the scanner', () => {
+            const statements = parse(`def run():\n    logger.verbose("x")\n    dbg(x)\n`, 'tool.py');
+
+            assert.deepStrictEqual(statements.map(s => s.type), ['verbose', 'dbg']);
+            assert.strictEqual(statements.filter(s => s.replacement === 'pass').length, 1);
+        });
+
+        test('should match Java calls through the scanner', () => {
+            const statements = parse(`class A {\n    void run() {\n        logger.verbose("x");\n    }\n}\n`, 'A.java');
+
+            assert.strictEqual(statements.length, 1);
+            assert.strictEqual(statements[0].type, 'verbose');
+            assert.strictEqual(statements[0].text, 'logger.verbose("x");');
+        });
+    });
+
+    suite('Fallback scanner', () => {
+        test('should find custom calls when Babel cannot parse the file', () => {
+            const code = `function broken( {\n    dbg(call(")"), 'a');\n    const s = 'dbg(nope)';\n    logger . verbose(1);\n}\n`;
+            const statements = parse(code);
+
+            assert.deepStrictEqual(statements.map(s => [s.type, s.text]), [
+                ['dbg', `dbg(call(")"), 'a');`],
+                ['verbose', 'logger . verbose(1);']
+            ]);
+        });
+    });
+
+    suite('Cleaner integration', () => {
+        test('should honor per-type remove toggles', () => {
+            const patterns = [
+                { callee: 'dbg', type: 'dbg' },
+                { callee: 'audit.debug', type: 'audit', remove: false }
+            ];
+            const code = `dbg(1);\naudit.debug(2);\n`;
+            const statements = new DebugStatementParser({ customPatterns: patterns }).parseCode(code, 'test.js');
+            const cleaner = new CodeCleaner({ customPatterns: patterns });
+
+            assert.deepStrictEqual(cleaner.filterStatementsByConfig(statements).map(s => s.type), ['dbg']);
+            assert.strictEqual(cleaner.removeDebugStatements(code, statements).cleanCode, `audit.debug(2);\n`);
+        });
+
+        test('should report custom types next to the built-in ones', () => {
+            const code = `dbg(1);\nconsole.log(2);\n`;
+            const statements = parse(code);
+            const cleaner = new CodeCleaner({ customPatterns });
+            const report = cleaner.generateCleanupReport(code, cleaner.removeDebugStatements(code, statements));
+
+            assert.strictEqual(report.statementsByType.dbg.length, 1);
+            assert.strictEqual(report.statementsByType.console.length, 1);
+            assert.deepStrictEqual(report.statementsByType.verbose, []);
+        });
+
+        test('should let a pattern reuse a built-in type and its toggle', () => {
+            const patterns = [{ callee: 'this.$log.debug', type: 'logger' }];
+            const statements = new DebugStatementParser({ customPatterns: patterns }).parseCode(`this.$log.debug(1);\n`, 'test.js');
+
+            assert.strictEqual(new CodeCleaner({ customPatterns: patterns, removeLogger: false }).filterStatementsByConfig(statements).length, 0);
+        });
+    });
+
+    suite('Validation', () => {
+        test('should skip entries without callee or type and invalid regular expressions', () => {
+            const originalWarn = console.warn;
+            const warnings = [];
+            console.warn = message => warnings.push(message);
+
+            try {
+                const compiled = CustomPatternMatcher.compile([
+                    { callee: 'dbg' },
+                    { type: 'x' },
+                    { callee: 'a..b', type: 'x' },
+                    { callee: 'dbg', type: 'dbg', arguments: '(' },
+                    { callee: 'ok', type: 'ok' }
+                ]);
+
+                assert.deepStrictEqual(compiled.map(pattern => pattern.callee), ['ok']);
+                assert.strictEqual(warnings.length, 4);
+            } finally {
+                console.warn = originalWarn;
+            }
+        });
+
+        test('should warn about a configuration only once', () => {
+            const originalWarn = console.warn;
+            const warnings = [];
+            console.warn = message => warnings.push(message);
+
+            try {
+                const patterns = [{ callee: 'once', type: 'once', arguments: '[' }, { callee: 'trace', type: 'trace' }];
+                const parser = new DebugStatementParser({ customPatterns: patterns });
+                parser.parseCode(`trace(1);\n`, 'a.js');
+                parser.parseCode(`trace(2);\n`, 'b.js');
+                new CodeCleaner({ customPatterns: patterns });
+
+                assert.strictEqual(warnings.length, 1);
+                assert.strictEqual(CustomPatternMatcher.compile(patterns), CustomPatternMatcher.compile(JSON.parse(JSON.stringify(patterns))));
+            } finally {
+                console.warn = originalWarn;
+            }
+        });
+    });
+});
@@ -26,7 +26,15 @@ suite('Extension Integration Tests', () => {
             assert.ok(commands.includes('debug-cleanup-pro.cleanupDebug'));
             assert.ok(commands.includes('debug-cleanup-pro.cleanCurrentFile'));
             assert.ok(commands.includes('debug-cleanup-pro.cleanWorkspace'));
+            assert.ok(commands.includes('debug-cleanup-pro.cleanFolderOrFiles'));
             assert.ok(commands.includes('debug-cleanup-pro.cleanSelection'));
+            assert.ok(commands.includes('debug-cleanup-pro.pickStatements'));
+            assert.ok(commands.includes('debug-cleanup-pro.cleanStaged'));
+            assert.ok(commands.includes('debug-cleanup-pro.cleanChangedLines'));
+            assert.ok(commands.includes('debug-cleanup-pro.cleanChangedLinesSinceBranch'));
+            assert.ok(commands.includes('debug-cleanup-pro.cleanUnstagedLines'));
+            assert.ok(commands.includes('debug-cleanup-pro.revertLastCleanup'));
+            assert.ok(commands.includes('debug-cleanup-pro.refreshStatementTree'));
         });
     });
 
@@ -248,6 +256,80 @@ function test() {
         });
     });
 
+    suite('Diagnostics', () => {
+        test('should report debug statements as diagnostics', async () => {
+            document = await vscode.workspace.openTextDocument({
+                content: `const x = 1;\nconsole.log(x);\ndebugger;\n`,
+                language: 'javascript'
+            });
+            editor = await vscode.window.showTextDocument(document);
+
+            await new Promise(resolve => setTimeout(resolve, 200));
+
+            const diagnostics = vscode.languages.getDiagnostics(document.uri)
+                .filter(diagnostic => diagnostic.source === 'Debug Cleanup Pro');
+
+            assert.strictEqual(diagnostics.length, 2);
+            assert.deepStrictEqual(diagnostics.map(d => d.code), ['console', 'debugger']);
+            assert.strictEqual(diagnostics[0].range.start.line, 1);
+        });
+
+        test('should skip statement types disabled in configuration', async () => {
+            document = await vscode.workspace.openTextDocument({
+                content: `console.error('kept by default');\n`,
+                language: 'javascript'
+            });
+            editor = await vscode.window.showTextDocument(document);
+
+            await new Promise(resolve => setTimeout(resolve, 200));
+
+            const diagnostics = vscode.languages.getDiagnostics(document.uri)
+                .filter(diagnostic => diagnostic.source === 'Debug Cleanup Pro');
+
+            assert.strictEqual(diagnostics.length, 0);
+        });
+    });
+
+    suite('Code Actions', () => {
+        test('should offer quick fixes on a line with a debug statement', async () => {
+            document = await vscode.workspace.openTextDocument({
+                content: `const x = 1;\nconsole.log(x);\nconsole.log('again');\n`,
+                language: 'javascript'
+            });
+            editor = await vscode.window.showTextDocument(document);
+
+            const actions = await vscode.commands.executeCommand(
+                'vscode.executeCodeActionProvider',
+                document.uri,
+                new vscode.Range(1, 0, 1, 0)
+            );
+            const titles = actions.map(action => action.title);
+
+            assert.ok(titles.some(title => title.startsWith('Remove this debug statement')));
+            assert.ok(titles.includes('Remove all console debug statements in file (2)'));
+            assert.ok(titles.includes('Remove all debug statements in file (2)'));
+            assert.ok(titles.includes('Keep this debug statement (add suppression comment)'));
+        });
+
+        test('should remove a single statement with the quick fix', async () => {
+            document = await vscode.workspace.openTextDocument({
+                content: `const x = 1;\nconsole.log(x);\nconsole.log('again');\n`,
+                language: 'javascript'
+            });
+            editor = await vscode.window.showTextDocument(document);
+
+            const actions = await vscode.commands.executeCommand(
+                'vscode.executeCodeActionProvider',
+                document.uri,
+                new vscode.Range(1, 0, 1, 0)
+            );
+            const removeOne = actions.find(action => action.title.startsWith('Remove this debug statement'));
+            await vscode.workspace.applyEdit(removeOne.edit);
+
+            assert.strictEqual(document.getText(), `const x = 1;\nconsole.log('again');\n`);
+        });
+    });
+
     suite('Error Handling', () => {
         test('should handle command execution without active editor', async () => {
             // Close all editors
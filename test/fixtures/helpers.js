@@ -0,0 +1,37 @@
+// Helpers shared by the test files
+const { execFileSync } = require('child_process');
+
+// Collects what is written to it, standing in for process.stdout and process.stderr
+function createOutput() {
+    return {
+        text: '',
+        write(chunk) {
+            this.text += chunk;
+        }
+    };
+}
+
+// A vscode.Memento kept in memory
+function createMemento() {
+    const values = new Map();
+    return {
+        get(key, defaultValue) {
+            return values.has(key) ? values.get(key) : defaultValue;
+        },
+        update(key, value) {
+            // Mementos persist JSON, so round-trip to catch anything that would not survive a reload
+            values.set(key, JSON.parse(JSON.stringify(value)));
+            return Promise.resolve();
+        }
+    };
+}
+
+// Runs git in a test repository with a fixed identity, so commits work without a global config
+function git(cwd, ...args) {
+    return execFileSync('git', ['-c', 'user.email=test@example.com', '-c', 'user.name=Test', ...args], {
+        cwd,
+        encoding: 'utf8'
+    });
+}
+
+module.exports = { createMemento, createOutput, git };
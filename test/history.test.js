@@ -0,0 +1,103 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { CleanupHistory, HISTORY_KEY } = require('../history');
+const { createMemento } = require('./fixtures/helpers');
+
+suite('Cleanup History Tests', () => {
+    let storage;
+    let history;
+
+    setup(() => {
+        storage = createMemento();
+        history = new CleanupHistory(storage, 3);
+    });
+
+    test('should start empty', () => {
+        assert.strictEqual(history.getLast(), null);
+        assert.deepStrictEqual(history.getEntries(), []);
+    });
+
+    test('should record per-file original content and a hash of the cleaned content', async () => {
+        await history.record('Clean Workspace', [
+            { uri: 'file:///a.js', originalText: `console.log(1);\nrun();\n`, cleanText: `run();\n`, extra: true }
+        ]);
+
+        const entry = history.getLast();
+        assert.strictEqual(entry.label, 'Clean Workspace');
+        assert.ok(entry.id);
+        assert.ok(!isNaN(Date.parse(entry.timestamp)));
+        assert.deepStrictEqual(entry.files, [
+            {
+                uri: 'file:///a.js',
+                originalText: `console.log(1);\nrun();\n`,
+                cleanHash: crypto.createHash('sha1').update(`run();\n`).digest('hex')
+            }
+        ]);
+        assert.strictEqual(storage.get(HISTORY_KEY).length, 1);
+    });
+
+    test('should not record runs without changed files', async () => {
+        assert.strictEqual(await history.record('Clean Workspace', []), null);
+        assert.deepStrictEqual(history.getEntries(), []);
+    });
+
+    test('should keep only the most recent runs', async () => {
+        for (let i = 1; i <= 5; i++) {
+            await history.record(`Run ${i}`, [{ uri: `file:///${i}.js`, originalText: 'a', cleanText: 'b' }]);
+        }
+
+        assert.deepStrictEqual(history.getEntries().map(entry => entry.label), ['Run 3', 'Run 4', 'Run 5']);
+    });
+
+    test('should drop the oldest runs once the total size exceeds the limit', async () => {
+        history = new CleanupHistory(storage, 10, 10);
+
+        await history.record('Run 1', [{ uri: 'file:///1.js', originalText: 'aaaa', cleanText: '' }]);
+        await history.record('Run 2', [{ uri: 'file:///2.js', originalText: 'bbbb', cleanText: '' }]);
+        await history.record('Run 3', [{ uri: 'file:///3.js', originalText: 'cccc', cleanText: '' }]);
+        assert.deepStrictEqual(history.getEntries().map(entry => entry.label), ['Run 2', 'Run 3']);
+
+        await history.record('Large', [{ uri: 'file:///4.js', originalText: 'd'.repeat(50), cleanText: '' }]);
+        assert.deepStrictEqual(history.getEntries().map(entry => entry.label), ['Large']);
+    });
+
+    test('should remove a reverted entry and expose the previous one', async () => {
+        await history.record('First', [{ uri: 'file:///a.js', originalText: 'a', cleanText: 'b' }]);
+        const second = await history.record('Second', [{ uri: 'file:///b.js', originalText: 'c', cleanText: 'd' }]);
+
+        await history.remove(second.id);
+
+        assert.strictEqual(history.getLast().label, 'First');
+    });
+
+    test('should survive a new instance over the same storage', async () => {
+        await history.record('Clean Workspace', [{ uri: 'file:///a.js', originalText: 'a', cleanText: 'b' }]);
+
+        assert.strictEqual(new CleanupHistory(storage).getLast().label, 'Clean Workspace');
+    });
+
+    test('should report files changed since the cleanup', async () => {
+        const entry = await history.record('Clean Workspace', [
+            { uri: 'file:///same.js', originalText: 'a', cleanText: 'b' },
+            { uri: 'file:///edited.js', originalText: 'c', cleanText: 'd' },
+            { uri: 'file:///deleted.js', originalText: 'e', cleanText: 'f' }
+        ]);
+        const current = { 'file:///same.js': 'b', 'file:///edited.js': 'd plus edits' };
+
+        const modified = CleanupHistory.getModifiedFiles(entry, uri => current[uri] ?? null);
+
+        assert.deepStrictEqual(modified.map(file => file.uri), ['file:///edited.js']);
+    });
+
+    test('should compare entries recorded with the cleaned text', () => {
+        const entry = { files: [
+            { uri: 'file:///same.js', originalText: 'a', cleanText: 'b' },
+            { uri: 'file:///edited.js', originalText: 'c', cleanText: 'd' }
+        ] };
+        const current = { 'file:///same.js': 'b', 'file:///edited.js': 'd plus edits' };
+
+        const modified = CleanupHistory.getModifiedFiles(entry, uri => current[uri]);
+
+        assert.deepStrictEqual(modified.map(file => file.uri), ['file:///edited.js']);
+    });
+});
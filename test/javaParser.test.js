@@ -0,0 +1,174 @@
+const assert = require('assert');
+const { DebugStatementParser } = require('../parser');
+const { CodeCleaner } = require('../cleaner');
+const { testFiles } = require('./fixtures/testFiles');
+
+suite('JavaDebugParser Tests', () => {
+    let parser;
+
+    setup(() => {
+        parser = new DebugStatementParser();
+    });
+
+    suite('Statement Detection', () => {
+        test('should route .java files to the Java scanner', () => {
+            const statements = parser.parseCode(testFiles.javaStyle, 'Test.java');
+
+            assert.strictEqual(statements.filter(s => s.type === 'system.out').length, 3);
+            assert.strictEqual(statements.filter(s => s.type === 'system.err').length, 1);
+        });
+
+        test('should detect every System.out and System.err print method', () => {
+            const code = `class A {
+    void run() {
+        System.out.print("a");
+        System.out.printf("%d%n", count(1, 2));
+        System.out.println();
+        System.err.println("oops");
+        System.err.format("%s", x);
+    }
+}`;
+            const statements = parser.parseCode(code, 'A.java');
+
+            assert.deepStrictEqual(statements.map(s => s.type), [
+                'system.out', 'system.out', 'system.out', 'system.err', 'system.err'
+            ]);
+            assert.strictEqual(statements[1].text, 'System.out.printf("%d%n", count(1, 2));');
+        });
+
+        test('should detect printStackTrace and configured logger calls', () => {
+            const code = `class A {
+    void run() {
+        try {
+            work();
+        } catch (Exception e) {
+            e.printStackTrace();
+        }
+        log.debug("value {}", value);
+        LOGGER.trace("enter");
+        log.info("kept");
+        this.logger.debug("field logger");
+    }
+}`;
+            const statements = parser.parseCode(code, 'A.java');
+
+            assert.deepStrictEqual(statements.map(s => [s.type, s.callee]), [
+                ['stacktrace', 'e.printStackTrace'],
+                ['logger', 'log.debug'],
+                ['logger', 'LOGGER.trace'],
+                ['logger', 'this.logger.debug']
+            ]);
+        });
+
+        test('should honor custom logger names and levels', () => {
+            const customParser = new DebugStatementParser({ loggerNames: ['audit'], loggerLevels: ['info'] });
+            const code = `class A { void run() { audit.info("x"); log.debug("y"); } }`;
+
+            const statements = customParser.parseCode(code, 'A.java');
+
+            assert.strictEqual(statements.length, 1);
+            assert.strictEqual(statements[0].callee, 'audit.info');
+        });
+    });
+
+    suite('Literals and Comments', () => {
+        test('should ignore calls inside strings, text blocks and comments', () => {
+            const code = `class A {
+    // System.out.println("line comment");
+    /* System.out.println("block comment"); */
+    String s = "System.out.println(\\"in string\\");";
+    String block = """
+        System.out.println("in text block");
+        """;
+    char c = ')';
+}`;
+            const statements = parser.parseCode(code, 'A.java');
+            assert.strictEqual(statements.length, 0);
+        });
+
+        test('should span multi-line argument lists containing parentheses in strings', () => {
+            const code = `class A {
+    void run() {
+        System.out.println(
+            "closing ) paren" +
+            format(value, ")")
+        );
+        int next = 1;
+    }
+}`;
+            const statements = parser.parseCode(code, 'A.java');
+
+            assert.strictEqual(statements.length, 1);
+            assert.ok(statements[0].text.endsWith(');'));
+            assert.ok(statements[0].text.includes('format(value, ")")'));
+        });
+
+        test('should ignore debug calls used inside expressions', () => {
+            const code = `class A { void run() { list.forEach(x -> System.out.println(x)); PrintStream p = System.out.printf("x").append("y"); } }`;
+            const statements = parser.parseCode(code, 'A.java');
+            assert.strictEqual(statements.length, 0);
+        });
+    });
+
+    suite('Configuration and Removal', () => {
+        test('should toggle each Java statement type separately', () => {
+            const code = `class A {
+    void run() {
+        System.out.println("out");
+        System.err.println("err");
+        e.printStackTrace();
+        log.debug("debug");
+    }
+}`;
+            const statements = parser.parseCode(code, 'A.java');
+
+            const keepErrAndLogger = new CodeCleaner({ removeSystemErr: false, removeLogger: false });
+            const result = keepErrAndLogger.removeDebugStatements(code, statements);
+
+            assert.ok(!result.cleanCode.includes('System.out.println'));
+            assert.ok(!result.cleanCode.includes('printStackTrace'));
+            assert.ok(result.cleanCode.includes('System.err.println("err");'));
+            assert.ok(result.cleanCode.includes('log.debug("debug");'));
+
+            const keepStackTrace = new CodeCleaner({ removeSystemErr: true, removePrintStackTrace: false });
+            const second = keepStackTrace.removeDebugStatements(code, statements);
+
+            assert.ok(!second.cleanCode.includes('System.err.println'));
+            assert.ok(second.cleanCode.includes('e.printStackTrace();'));
+        });
+
+        test('should keep control statements valid when the body is removed', () => {
+            const code = `class A {
+    void run() {
+        if (verbose) System.out.println("v");
+        else log.debug("quiet");
+        next();
+    }
+}`;
+            const statements = parser.parseCode(code, 'A.java');
+            const result = new CodeCleaner().removeDebugStatements(code, statements);
+
+            assert.strictEqual(result.removedCount, 2);
+            assert.ok(result.cleanCode.includes('if (verbose) {}'));
+            assert.ok(result.cleanCode.includes('else {}'));
+            assert.ok(result.cleanCode.includes('next();'));
+        });
+
+        test('should keep the semicolon before a statement removed from the middle of a line', () => {
+            const code = `class A {\n    void run() {\n        a(); System.out.println(x); b();\n    }\n}\n`;
+            const result = new CodeCleaner().removeDebugStatements(code, parser.parseCode(code, 'A.java'));
+
+            assert.strictEqual(result.cleanCode, `class A {\n    void run() {\n        a(); b();\n    }\n}\n`);
+            assert.strictEqual(parser.validateCleanup(code, result, 'A.java'), null);
+        });
+    });
+
+    suite('Babel Path', () => {
+        test('should classify System.err calls in JavaScript-parsed files', () => {
+            const code = `System.out.printf('a');\nSystem.err.println('b');`;
+            const statements = parser.parseCode(code, 'test.js');
+
+            assert.deepStrictEqual(statements.map(s => s.type), ['system.out', 'system.err']);
+        });
+    });
+});
@@ -0,0 +1,152 @@
+const assert = require('assert');
+const { DebugStatementParser } = require('../parser');
+const { CodeCleaner } = require('../cleaner');
+const { LoggerConverter } = require('../loggerConversion');
+
+suite('Logger Conversion Tests', () => {
+    function convert(code, filePath, config = {}) {
+        const parser = new DebugStatementParser(config);
+        const statements = parser.parseCode(code, filePath);
+        return new CodeCleaner(config).convertToLogger(code, statements, parser.detectLanguage(filePath));
+    }
+
+    suite('JavaScript', () => {
+        test('should map console methods to levels and keep the arguments verbatim', () => {
+            const code = `const logger = createLogger();\nconsole.log('user', user /* raw */);\nconsole.warn(message);\nconsole.info?.(x);\n`;
+
+            const result = convert(code, 'app.js');
+
+            assert.strictEqual(
+                result.cleanCode,
+                `const logger = createLogger();\nlogger.debug('user', user /* raw */);\nlogger.warn(message);\nlogger.info(x);\n`
+            );
+            assert.strictEqual(result.convertedCount, 3);
+            assert.deepStrictEqual(result.convertedStatements.map(statement => statement.level), ['debug', 'warn', 'info']);
+        });
+
+        test('should convert calls in any position, including ones removal would skip', () => {
+            const code = `import { logger } from './log';\nif (ready) console.log(1);\nconst h = () => console.log(2);\nconst v = console.log(3);\n`;
+
+            assert.strictEqual(
+                convert(code, 'app.ts').cleanCode,
+                `import { logger } from './log';\nif (ready) logger.debug(1);\nconst h = () => logger.debug(2);\nconst v = logger.debug(3);\n`
+            );
+        });
+
+        test('should add the require once, after the existing imports', () => {
+            const code = `'use strict';\nconst fs = require('fs');\n\nconsole.log(1);\nconsole.log(2);\n`;
+
+            const result = convert(code, 'app.js');
+
+            assert.strictEqual(
+                result.cleanCode,
+                `'use strict';\nconst fs = require('fs');\nconst logger = require('./logger');\n\nlogger.debug(1);\nlogger.debug(2);\n`
+            );
+            assert.strictEqual(result.importAdded, true);
+        });
+
+        test('should import the default logger in ES modules', () => {
+            const esm = convert(`import fs from 'fs';\n\nconsole.log(1);\n`, 'app.js');
+            const typeScript = convert(`console.log(1);\n`, 'app.ts');
+            const commonJs = convert(`const fs = require('fs');\nconsole.log(1);\n`, 'app.ts');
+
+            assert.strictEqual(esm.cleanCode, `import fs from 'fs';\nimport logger from './logger';\n\nlogger.debug(1);\n`);
+            assert.strictEqual(typeScript.cleanCode, `import logger from './logger';\nlogger.debug(1);\n`);
+            assert.strictEqual(commonJs.cleanCode, `const fs = require('fs');\nconst logger = require('./logger');\nlogger.debug(1);\n`);
+        });
+
+        test('should use a configured target and placeholder', () => {
+            const config = { loggerTargets: { javascript: { target: 'log.info', import: '', placeholder: '%o' } } };
+
+            const result = convert(`console.log('a', b);\nconsole.error('failed');\n`, 'app.js', { ...config, removeConsoleError: true });
+
+            assert.strictEqual(result.cleanCode, `log.info("%o %o", 'a', b);\nlog.info('failed');\n`);
+            assert.strictEqual(result.importAdded, false);
+        });
+
+        test('should remove debugger statements and skip calls without a level', () => {
+            const code = `function f() {\n    debugger;\n    console.group('g');\n    console.groupEnd();\n    [1].forEach(console.log);\n}\n`;
+
+            const result = convert(code, 'app.js');
+
+            assert.strictEqual(result.cleanCode, `function f() {\n    console.group('g');\n    console.groupEnd();\n    [1].forEach(console.log);\n}\n`);
+            assert.strictEqual(result.removedCount, 1);
+            assert.deepStrictEqual(result.skippedStatements.map(statement => statement.skipReason), [
+                'console.group has no logger level',
+                'console.groupEnd has no logger level',
+                'Method references are not converted'
+            ]);
+        });
+
+        test('should convert nested calls once', () => {
+            const result = convert(`const logger = x;\nconsole.log(console.log(1));\n`, 'app.js');
+
+            assert.strictEqual(result.cleanCode, `const logger = x;\nlogger.debug(console.log(1));\n`);
+            assert.strictEqual(result.skippedStatements[0].skipReason, 'Nested inside another converted call');
+        });
+    });
+
+    suite('Python', () => {
+        test('should format print arguments for logging', () => {
+            const code = `import os\n\ndef run(total):\n    print(total)\n    print("total", total, sep=": ")\n    print("done")\n    print("failed", file=sys.stderr, flush=True)\n`;
+
+            assert.strictEqual(convert(code, 'tool.py').cleanCode, [
+                `import os`,
+                `import logging`,
+                ``,
+                `def run(total):`,
+                `    logging.debug("%s", total)`,
+                `    logging.debug("%s: %s", "total", total)`,
+                `    logging.debug("done")`,
+                `    logging.error("failed")`,
+                ``
+            ].join('\n'));
+        });
+
+        test('should place the import below a module docstring', () => {
+            const code = `"""Tool.\n\nDetails."""\n\nprint(1)\n`;
+
+            assert.strictEqual(convert(code, 'tool.py').cleanCode, `"""Tool.\n\nDetails."""\n\nimport logging\n\nlogging.debug("%s", 1)\n`);
+        });
+
+        test('should skip prints it cannot express', () => {
+            const result = convert(`import logging\nprint(*items)\nprint(x, file=out)\n`, 'tool.py');
+
+            assert.strictEqual(result.convertedCount, 0);
+            assert.deepStrictEqual(result.skippedStatements.map(statement => statement.skipReason), [
+                'Unpacked arguments are not converted',
+                'Output to other files is not converted'
+            ]);
+        });
+    });
+
+    suite('Java', () => {
+        test('should write SLF4J placeholders and skip formatted output', () => {
+            const code = `class A {\n    void f(int x) {\n        System.out.println(x);\n        System.out.println("hi");\n        System.out.printf("%d", x);\n        if (x > 0) System.out.println();\n    }\n}\n`;
+
+            const result = convert(code, 'A.java');
+
+            assert.strictEqual(
+                result.cleanCode,
+                `class A {\n    void f(int x) {\n        log.debug("{}", x);\n        log.debug("hi");\n        System.out.printf("%d", x);\n        if (x > 0) log.debug("");\n    }\n}\n`
+            );
+            assert.strictEqual(result.skippedStatements[0].skipReason, 'Formatted output is not converted');
+        });
+    });
+
+    suite('Imports', () => {
+        test('should not add an import that is already present', () => {
+            const converter = new LoggerConverter({}, 'python');
+
+            assert.strictEqual(converter.addImport(`import logging\n`).added, false);
+            assert.strictEqual(converter.addImport(`from app import logging\n`).added, false);
+            assert.strictEqual(converter.addImport(`import os\n`).added, true);
+        });
+
+        test('should insert below the package declaration', () => {
+            const converter = new LoggerConverter({ loggerTargets: { java: { import: 'import org.slf4j.Logger;' } } }, 'java');
+
+            assert.strictEqual(converter.addImport(`package a;\n\nclass A {}\n`).code, `package a;\n\nimport org.slf4j.Logger;\n\nclass A {}\n`);
+        });
+    });
+});
@@ -294,6 +294,143 @@ print('line 4');`;
         });
     });
 
+    suite('Suppression Comments', () => {
+        test('should keep statements marked with cleanup-keep', () => {
+            const code = `
+                console.log('intentional'); // cleanup-keep
+                console.log('remove me');
+            `;
+
+            const statements = parser.parseCode(code, 'test.js');
+
+            assert.strictEqual(statements.length, 1);
+            assert.ok(statements[0].text.includes('remove me'));
+            assert.strictEqual(parser.suppressedStatements.length, 1);
+            assert.strictEqual(parser.suppressedStatements[0].suppression, 'keep');
+        });
+
+        test('should honor cleanup-disable-next-line', () => {
+            const code = `// cleanup-disable-next-line
+console.warn('kept');
+console.warn('removed');`;
+
+            const statements = parser.parseCode(code, 'test.js');
+
+            assert.strictEqual(statements.length, 1);
+            assert.strictEqual(statements[0].line, 3);
+            assert.strictEqual(parser.suppressedStatements[0].suppression, 'disable-next-line');
+        });
+
+        test('should honor cleanup-disable and cleanup-enable regions', () => {
+            const code = `console.log('a');
+/* cleanup-disable */
+console.log('b');
+debugger;
+/* cleanup-enable */
+console.log('c');`;
+
+            const statements = parser.parseCode(code, 'test.js');
+
+            assert.deepStrictEqual(statements.map(s => s.line), [1, 6]);
+            assert.deepStrictEqual(parser.suppressedStatements.map(s => s.suppression), ['disable', 'disable']);
+        });
+
+        test('should accept a cleanup-keep comment on any line of a multi-line statement', () => {
+            const code = `console.log(
+    'spans lines'
+); // cleanup-keep`;
+
+            const statements = parser.parseCode(code, 'test.js');
+            assert.strictEqual(statements.length, 0);
+            assert.strictEqual(parser.suppressedStatements.length, 1);
+        });
+
+        test('should use # comments for Python and // comments for Java', () => {
+            const python = `print("kept")  # cleanup-keep
+# cleanup-disable-next-line
+breakpoint()
+print("removed")
+`;
+            const pythonStatements = parser.parseCode(python, 'test.py');
+            assert.strictEqual(pythonStatements.length, 1);
+            assert.strictEqual(parser.suppressedStatements.length, 2);
+
+            const java = `class A { void run() {
+    // cleanup-disable-next-line
+    System.out.println("kept");
+    System.out.println("removed");
+} }`;
+            const javaStatements = parser.parseCode(java, 'A.java');
+            assert.strictEqual(javaStatements.length, 1);
+            assert.strictEqual(parser.suppressedStatements.length, 1);
+        });
+
+        test('should reset suppressed statements between parses', () => {
+            parser.parseCode(`console.log('x'); // cleanup-keep`, 'test.js');
+            parser.parseCode(`console.log('y');`, 'test.js');
+
+            assert.strictEqual(parser.suppressedStatements.length, 0);
+        });
+    });
+
+    suite('Structured Callee Fields', () => {
+        test('should record object, method and access style', () => {
+            const code = `console.log(a);\nconsole['warn'](b);\nconsole?.info(c);\nconsole.debug?.(d);\n`;
+            const statements = parser.parseCode(code, 'test.js');
+
+            assert.deepStrictEqual(statements.map(s => [s.object, s.method, s.computed, s.optional, s.callee]), [
+                ['console', 'log', false, false, 'console.log'],
+                ['console', 'warn', true, false, "console['warn']"],
+                ['console', 'info', false, true, 'console?.info'],
+                ['console', 'debug', false, true, 'console.debug']
+            ]);
+        });
+
+        test('should resolve aliased console methods', () => {
+            const code = `const log = console.log;
+const { warn, error: fail } = console;
+const trace = console.trace.bind(console);
+log('a');
+warn('b');
+fail('c');
+trace('d');
+`;
+            const statements = parser.parseCode(code, 'test.js');
+
+            assert.deepStrictEqual(statements.map(s => [s.alias, s.method]), [
+                ['log', 'log'],
+                ['warn', 'warn'],
+                ['fail', 'error'],
+                ['trace', 'trace']
+            ]);
+        });
+
+        test('should ignore reassigned aliases and shadowed console bindings', () => {
+            const code = `let log = console.log;
+log = sendToServer;
+log('a');
+function report(console) {
+    console.log('b');
+}
+`;
+            const statements = parser.parseCode(code, 'test.js');
+
+            assert.strictEqual(statements.length, 0);
+        });
+
+        test('should take the method from the callee, not from string arguments', () => {
+            const statements = parser.parseCode(`console.error('console.log failed');\n`, 'test.js');
+
+            assert.strictEqual(statements[0].method, 'error');
+        });
+
+        test('should describe computed and optional calls in the fallback parser', () => {
+            const statements = parser.fallbackRegexParse(`console['warn']('x');\nconsole?.log(1);\n`);
+
+            assert.deepStrictEqual(statements.map(s => [s.method, s.computed]), [['warn', true], ['log', false]]);
+        });
+    });
+
     suite('Performance Tests', () => {
         test('should handle large files efficiently', () => {
             // Generate a large file with many console statements
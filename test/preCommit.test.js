@@ -0,0 +1,184 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GitRepository } = require('../git');
+const { StagedChangesCleaner } = require('../preCommit');
+const { CleanupCli } = require('../cli');
+const { createOutput, git } = require('./fixtures/helpers');
+
+suite('Pre-commit Tests', () => {
+    let workspace;
+
+    function writeFile(relativePath, content) {
+        const filePath = path.join(workspace, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    }
+
+    function createCleaner(config = {}) {
+        return new StagedChangesCleaner({
+            removeConsoleLog: true,
+            removeDebugger: true,
+            removePrint: true,
+            excludePatterns: ['**/node_modules/**'],
+            ...config
+        }, GitRepository.open(workspace));
+    }
+
+    setup(() => {
+        workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'debug-cleanup-git-'));
+        git(workspace, 'init', '--quiet');
+        writeFile('app.js', `function run() {\n    console.log('legacy');\n    return 1;\n}\n`);
+        git(workspace, 'add', '.');
+        git(workspace, 'commit', '--quiet', '-m', 'initial');
+    });
+
+    teardown(() => {
+        fs.rmSync(workspace, { recursive: true, force: true });
+    });
+
+    suite('GitRepository', () => {
+        test('should parse added line ranges from a zero-context diff', () => {
+            const repository = GitRepository.open(workspace);
+            const diff = [
+                'diff --git a/src/a.js b/src/a.js',
+                '--- a/src/a.js',
+                '+++ b/src/a.js',
+                '@@ -1,0 +2,2 @@',
+                '+one',
+                '+two',
+                '@@ -8 +10 @@',
+                '-old',
+                '+new',
+                '@@ -12,3 +14,0 @@',
+                'diff --git a/gone.js b/gone.js',
+                '--- a/gone.js',
+                '+++ /dev/null'
+            ].join('\n');
+
+            const changed = repository.parseChangedLines(diff);
+
+            assert.deepStrictEqual([...changed.keys()], ['src/a.js']);
+            assert.deepStrictEqual([...changed.get('src/a.js')], [2, 3, 10]);
+        });
+
+        test('should reject directories outside a repository', () => {
+            const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'debug-cleanup-nogit-'));
+            try {
+                assert.throws(() => GitRepository.open(outside), /Not a git repository/);
+            } finally {
+                fs.rmSync(outside, { recursive: true, force: true });
+            }
+        });
+    });
+
+    suite('StagedChangesCleaner', () => {
+        test('should only report statements on staged added lines', () => {
+            writeFile('app.js', `function run() {\n    console.log('legacy');\n    console.log('new');\n    return 1;\n}\n`);
+            git(workspace, 'add', 'app.js');
+
+            const results = createCleaner().analyze();
+
+            assert.strictEqual(results.length, 1);
+            assert.strictEqual(results[0].filePath, 'app.js');
+            assert.deepStrictEqual(results[0].statements.map(s => s.line), [3]);
+        });
+
+        test('should ignore changes that are not staged', () => {
+            writeFile('app.js', `function run() {\n    console.log('legacy');\n    debugger;\n    return 1;\n}\n`);
+
+            assert.deepStrictEqual(createCleaner().analyze(), []);
+        });
+
+        test('should include newly added files and skip excluded ones', () => {
+            writeFile('tool.py', `print("new")\n`);
+            writeFile('node_modules/lib/index.js', `console.log('vendor');\n`);
+            git(workspace, 'add', '-f', '.');
+
+            const results = createCleaner().analyze();
+
+            assert.deepStrictEqual(results.map(result => result.filePath), ['tool.py']);
+        });
+
+        test('should rewrite staged content and leave pre-existing logs alone', () => {
+            writeFile('app.js', `function run() {\n    console.log('legacy');\n    console.log('new');\n    return 1;\n}\n`);
+            git(workspace, 'add', 'app.js');
+
+            const fixed = createCleaner().fix();
+
+            const expected = `function run() {\n    console.log('legacy');\n    return 1;\n}\n`;
+            assert.deepStrictEqual(fixed, [{ filePath: 'app.js', removedCount: 1, updatedWorkingTree: true, skippedStatements: [] }]);
+            assert.strictEqual(git(workspace, 'show', ':app.js'), expected);
+            assert.strictEqual(fs.readFileSync(path.join(workspace, 'app.js'), 'utf8'), expected);
+        });
+
+        test('should not overwrite unstaged working tree edits', () => {
+            writeFile('app.js', `function run() {\n    console.log('legacy');\n    debugger;\n    return 1;\n}\n`);
+            git(workspace, 'add', 'app.js');
+            const working = writeFile('app.js', `function run() {\n    console.log('legacy');\n    debugger;\n    return 2;\n}\n`);
+
+            const fixed = createCleaner().fix();
+
+            assert.strictEqual(fixed[0].updatedWorkingTree, false);
+            assert.ok(!git(workspace, 'show', ':app.js').includes('debugger'));
+            assert.ok(fs.readFileSync(working, 'utf8').includes('return 2;'));
+        });
+    });
+
+    suite('CLI pre-commit', () => {
+        let stdout;
+        let stderr;
+        let cli;
+
+        setup(() => {
+            stdout = createOutput();
+            stderr = createOutput();
+            cli = new CleanupCli({ cwd: workspace, stdout, stderr });
+        });
+
+        test('should block the commit with the offending lines', () => {
+            writeFile('app.js', `function run() {\n    console.log('legacy');\n    debugger;\n    return 1;\n}\n`);
+            git(workspace, 'add', 'app.js');
+
+            assert.strictEqual(cli.run(['pre-commit']), 1);
+            assert.ok(stdout.text.includes('app.js:3:5: debugger'));
+            assert.ok(!stdout.text.includes('legacy'));
+            assert.ok(stderr.text.includes('Commit blocked'));
+        });
+
+        test('should pass when staged changes are clean', () => {
+            writeFile('app.js', `function run() {\n    console.log('legacy');\n    return 2;\n}\n`);
+            git(workspace, 'add', 'app.js');
+
+            assert.strictEqual(cli.run(['pre-commit']), 0);
+        });
+
+        test('should rewrite the staged content with --fix', () => {
+            writeFile('app.js', `function run() {\n    console.log('legacy');\n    debugger;\n    return 1;\n}\n`);
+            git(workspace, 'add', 'app.js');
+
+            assert.strictEqual(cli.run(['pre-commit', '--fix']), 0);
+            assert.ok(stdout.text.includes('app.js: removed 1 debug statement(s)'));
+            assert.ok(!git(workspace, 'show', ':app.js').includes('debugger'));
+        });
+
+        test('should block the commit when --fix has to leave statements in place', () => {
+            writeFile('app.js', `function run(i) {\n    console.log('legacy');\n    save() && console.log('x');\n    console.log(i++);\n    debugger;\n    return 1;\n}\n`);
+            git(workspace, 'add', 'app.js');
+
+            assert.strictEqual(cli.run(['pre-commit', '--fix']), 1);
+            assert.ok(stdout.text.includes('app.js: removed 1 debug statement(s)'));
+            assert.ok(stderr.text.includes('app.js:3:15: console:'));
+            assert.ok(stderr.text.includes('app.js:4:5: console: console.log(i++); (Arguments have side effects: i++)'));
+            assert.ok(stderr.text.includes('Commit blocked: 2 debug statement(s)'));
+            assert.ok(!git(workspace, 'show', ':app.js').includes('debugger'));
+        });
+
+        test('should reject --fix for other commands', () => {
+            assert.strictEqual(cli.run(['check', '--fix']), 2);
+            assert.ok(stderr.text.includes('--fix is only supported by pre-commit'));
+        });
+    });
+});
@@ -0,0 +1,169 @@
+const assert = require('assert');
+const { DebugStatementParser } = require('../parser');
+const { PythonDebugParser } = require('../pythonParser');
+const { CodeCleaner } = require('../cleaner');
+const { testFiles } = require('./fixtures/testFiles');
+
+suite('PythonDebugParser Tests', () => {
+    let parser;
+    let cleaner;
+
+    setup(() => {
+        parser = new DebugStatementParser();
+        cleaner = new CodeCleaner();
+    });
+
+    suite('Language Selection', () => {
+        test('should route .py files to the Python parser', () => {
+            const statements = parser.parseCode(testFiles.pythonStyle, 'test.py');
+
+            assert.strictEqual(statements.length, 4);
+            assert.ok(statements.every(s => s.type === 'print'));
+        });
+
+        test('should honor an explicit python language id', () => {
+            const statements = parser.parseCode('print("hi")\n', 'Untitled-1', 'python');
+
+            assert.strictEqual(statements.length, 1);
+            assert.strictEqual(statements[0].callee, 'print');
+        });
+    });
+
+    suite('Statement Detection', () => {
+        test('should detect print, pprint, breakpoint, pdb and logging calls', () => {
+            const code = `import pdb
+import logging
+from pprint import pprint
+
+print("a")
+pprint({"b": 1})
+breakpoint()
+pdb.set_trace()
+ipdb.set_trace()
+logging.debug("c")
+logging.info("kept")
+`;
+            const statements = parser.parseCode(code, 'test.py');
+
+            assert.deepStrictEqual(
+                statements.map(s => [s.type, s.callee]),
+                [
+                    ['print', 'print'],
+                    ['print', 'pprint'],
+                    ['debugger', 'breakpoint'],
+                    ['debugger', 'pdb.set_trace'],
+                    ['debugger', 'ipdb.set_trace'],
+                    ['logger', 'logging.debug']
+                ]
+            );
+        });
+
+        test('should capture exact ranges for nested and multi-line calls', () => {
+            const code = `print(len(items), fmt("(x)"),
+      sep=", ")
+total = 1
+`;
+            const statements = parser.parseCode(code, 'test.py');
+
+            assert.strictEqual(statements.length, 1);
+            assert.strictEqual(statements[0].text, 'print(len(items), fmt("(x)"),\n      sep=", ")');
+            assert.strictEqual(statements[0].line, 1);
+        });
+
+        test('should ignore print inside strings, docstrings and comments', () => {
+            const code = `def f():
+    """Calls print("x") for you."""
+    # print("commented")
+    msg = 'print("in a string")'
+    return msg
+`;
+            const statements = parser.parseCode(code, 'test.py');
+            assert.strictEqual(statements.length, 0);
+        });
+
+        test('should ignore calls that are part of a larger expression', () => {
+            const code = `value = print("x")
+result = logging.debug("y") or 1
+print("a")(b)
+`;
+            const statements = parser.parseCode(code, 'test.py');
+            assert.strictEqual(statements.length, 0);
+        });
+
+        test('should handle backslash continuations and triple-quoted arguments', () => {
+            const code = `print \\
+    ("""multi
+line""")
+`;
+            const statements = parser.parseCode(code, 'test.py');
+            assert.strictEqual(statements.length, 1);
+            assert.ok(statements[0].text.endsWith('""")'));
+        });
+    });
+
+    suite('Empty Block Handling', () => {
+        test('should mark the only body of an if or def for replacement with pass', () => {
+            const code = `def trace(x):
+    print(x)
+
+if debug:
+    breakpoint()
+    print("after")
+`;
+            const statements = parser.parseCode(code, 'test.py');
+
+            assert.strictEqual(statements.length, 3);
+            assert.strictEqual(statements[0].replacement, 'pass');
+            assert.strictEqual(statements[1].replacement, 'pass');
+            assert.strictEqual(statements[2].replacement, undefined);
+        });
+
+        test('should not replace when the block keeps other statements', () => {
+            const code = `def f(x):
+    """Docstring."""
+    print(x)
+`;
+            const statements = parser.parseCode(code, 'test.py');
+
+            assert.strictEqual(statements.length, 1);
+            assert.strictEqual(statements[0].replacement, undefined);
+        });
+
+        test('should produce valid blocks after cleanup', () => {
+            const code = `def trace(x):
+    print(x)
+
+if ready: print("go"); pdb.set_trace()
+
+for item in items:
+    print(item)
+    process(item)
+`;
+            const statements = parser.parseCode(code, 'test.py');
+            const result = cleaner.removeDebugStatements(code, statements);
+
+            assert.strictEqual(result.removedCount, 4);
+            assert.strictEqual(result.cleanCode, `def trace(x):
+    pass
+
+if ready: pass
+
+for item in items:
+    process(item)
+`);
+        });
+    });
+
+    suite('Tokenizer', () => {
+        test('should not treat walrus or annotation colons as block headers', () => {
+            const pythonParser = new PythonDebugParser();
+            const matches = pythonParser.parse(`def f(x: int) -> int:
+    if (n := x):
+        print(n)
+`);
+
+            assert.strictEqual(matches.length, 1);
+            assert.strictEqual(matches[0].replacement, 'pass');
+        });
+    });
+});
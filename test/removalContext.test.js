@@ -0,0 +1,137 @@
+const assert = require('assert');
+const { DebugStatementParser } = require('../parser');
+const { CodeCleaner } = require('../cleaner');
+
+suite('Removal Context Tests', () => {
+    let parser;
+    let cleaner;
+
+    setup(() => {
+        parser = new DebugStatementParser();
+        cleaner = new CodeCleaner();
+    });
+
+    function clean(code) {
+        const statements = parser.parseCode(code, 'test.js');
+        return cleaner.removeDebugStatements(code, statements);
+    }
+
+    suite('Classification', () => {
+        test('should classify each enclosing position', () => {
+            const code = [
+                `log.ready && console.log(1);`,
+                `const a = ok ? console.log(2) : 0;`,
+                `const b = () => console.log(3);`,
+                `p.then(console.log);`,
+                `function c() { return console.log(4); }`,
+                `console.log(5);`,
+                ``
+            ].join('\n');
+
+            const statements = parser.parseCode(code, 'test.js');
+
+            assert.deepStrictEqual(statements.map(s => s.context), [
+                'guarded', 'conditional', 'arrow-body', 'callback', 'return', 'statement'
+            ]);
+        });
+    });
+
+    suite('Removal', () => {
+        test('should remove a guarded call as a whole statement', () => {
+            const result = clean(`function f(x) {\n    x && console.log(x);\n    return x;\n}\n`);
+
+            assert.strictEqual(result.cleanCode, `function f(x) {\n    return x;\n}\n`);
+        });
+
+        test('should remove chained guards with pure operands', () => {
+            const result = clean(`options.debug && !quiet && console.log(state);\nrun();\n`);
+
+            assert.strictEqual(result.cleanCode, `run();\n`);
+        });
+
+        test('should replace a conditional branch with undefined', () => {
+            const result = clean(`const v = cond ? console.log(a) : b;\n`);
+
+            assert.strictEqual(result.cleanCode, `const v = cond ? undefined : b;\n`);
+        });
+
+        test('should replace arrow bodies with an empty block', () => {
+            const result = clean(`const h = () => console.log(e);\nconst p = (e) => (console.log(e));\n`);
+
+            assert.strictEqual(result.cleanCode, `const h = () => {};\nconst p = (e) => {};\n`);
+        });
+
+        test('should remove statements nested in another one once', () => {
+            const result = clean(`console.log(() => console.log(y));\nbar();\n`);
+
+            assert.strictEqual(result.cleanCode, `bar();\n`);
+            assert.strictEqual(result.removedCount, 1);
+        });
+
+        test('should replace console methods passed as callbacks', () => {
+            const result = clean(`promise.then(console.log).catch(handle);\n`);
+
+            assert.strictEqual(result.cleanCode, `promise.then(() => {}).catch(handle);\n`);
+        });
+
+        test('should keep the return keyword', () => {
+            const result = clean(`function g(v) {\n    return console.log(v);\n}\n`);
+
+            assert.strictEqual(result.cleanCode, `function g(v) {\n    return;\n}\n`);
+        });
+
+        test('should leave an empty block for bare if and loop bodies', () => {
+            const result = clean(`if (debug) console.log(x);\nelse run();\nfor (const a of b) console.log(a);\n`);
+
+            assert.strictEqual(result.cleanCode, `if (debug) {}\nelse run();\nfor (const a of b) {}\n`);
+        });
+
+        test('should apply the same rules to custom patterns', () => {
+            const patterns = [{ callee: 'dbg', type: 'dbg' }];
+            const code = `const h = () => dbg(e);\n`;
+            const statements = new DebugStatementParser({ customPatterns: patterns }).parseCode(code, 'test.js');
+
+            const result = new CodeCleaner({ customPatterns: patterns }).removeDebugStatements(code, statements);
+
+            assert.strictEqual(result.cleanCode, `const h = () => {};\n`);
+        });
+    });
+
+    suite('Skipped calls', () => {
+        test('should skip guards with side effects', () => {
+            const code = `save() && console.log('saved');\n`;
+            const result = clean(code);
+
+            assert.strictEqual(result.cleanCode, code);
+            assert.strictEqual(result.removedCount, 0);
+            assert.strictEqual(result.skippedStatements[0].skipReason, 'The guard condition has side effects');
+        });
+
+        test('should skip calls whose value is used', () => {
+            const code = `const r = console.log(1) || fallback;\nfoo(console.info('x'));\nconsole.log(2);\n`;
+            const result = clean(code);
+
+            assert.strictEqual(result.cleanCode, `const r = console.log(1) || fallback;\nfoo(console.info('x'));\n`);
+            assert.strictEqual(result.skippedStatements.length, 2);
+        });
+
+        test('should list skipped calls in the report and preview', () => {
+            const code = `const r = console.log(1) || fallback;\nconsole.log(2);\n`;
+            const statements = parser.parseCode(code, 'test.js');
+            const result = cleaner.removeDebugStatements(code, statements);
+
+            const report = cleaner.generateCleanupReport(code, result);
+            assert.strictEqual(report.removedCount, 1);
+            assert.strictEqual(report.skippedCount, 1);
+            assert.deepStrictEqual(report.skippedStatements[0], {
+                line: 1,
+                type: 'console',
+                text: 'console.log(1)',
+                reason: 'The return value is used by the surrounding expression'
+            });
+
+            const preview = cleaner.previewChanges(code, statements);
+            assert.strictEqual(preview[0].action, 'Skip: The return value is used by the surrounding expression');
+        });
+    });
+});
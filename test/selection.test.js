@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { DebugStatementParser } = require('../parser');
+const { CodeCleaner } = require('../cleaner');
+const { selectStatementsInRanges } = require('../selection');
+
+suite('Selection Tests', () => {
+    // Selections are given as the substrings they start and end with
+    function rangeOf(code, from, to) {
+        const start = code.indexOf(from);
+        return { start, end: code.indexOf(to, start) + to.length };
+    }
+
+    function cleanRanges(code, filePath, ranges, mode) {
+        const parser = new DebugStatementParser();
+        const statements = parser.parseCode(code, filePath);
+        const cleaner = new CodeCleaner({ cleanWhitespace: false });
+        return cleaner.removeSelectedStatements(code, selectStatementsInRanges(statements, ranges, mode));
+    }
+
+    test('should clean a selection that starts in the middle of a function', () => {
+        const code = `function f() {\n    console.log(1);\n    run();\n    console.log(2);\n}\nconsole.log(3);\n`;
+
+        const result = cleanRanges(code, 'app.js', [rangeOf(code, 'run();', 'console.log(2);\n}')]);
+
+        assert.strictEqual(result.cleanCode, `function f() {\n    console.log(1);\n    run();\n}\nconsole.log(3);\n`);
+        assert.strictEqual(result.removedCount, 1);
+    });
+
+    test('should clean inside JSX and TypeScript syntax', () => {
+        const jsx = `const A = () => (\n    <div onClick={() => { console.log('click'); }}>\n        {items}\n    </div>\n);\nconsole.log('outside');\n`;
+        const ts = `function f<T>(x: T): T {\n    console.log(x as unknown);\n    return x;\n}\n`;
+
+        assert.strictEqual(
+            cleanRanges(jsx, 'app.jsx', [rangeOf(jsx, 'onClick', '{items}')]).cleanCode,
+            `const A = () => (\n    <div onClick={() => { }}>\n        {items}\n    </div>\n);\nconsole.log('outside');\n`
+        );
+        assert.strictEqual(
+            cleanRanges(ts, 'app.ts', [rangeOf(ts, 'console', 'unknown)')]).cleanCode,
+            `function f<T>(x: T): T {\n    return x;\n}\n`
+        );
+    });
+
+    test('should clean every selection in one pass', () => {
+        const code = `console.log(1);\nconsole.log(2);\nconsole.log(3);\n`;
+
+        const result = cleanRanges(code, 'app.js', [
+            rangeOf(code, 'console.log(1)', ';'),
+            rangeOf(code, 'console.log(3)', '\n'),
+            { start: 20, end: 20 }
+        ]);
+
+        assert.strictEqual(result.cleanCode, `console.log(2);\n`);
+        assert.strictEqual(result.removedCount, 2);
+    });
+
+    test('should only take partly selected statements in overlapping mode', () => {
+        const code = `console.log({\n    a: 1\n});\nrun();\n`;
+        const range = rangeOf(code, 'a: 1', 'run();');
+
+        assert.strictEqual(cleanRanges(code, 'app.js', [range]).removedCount, 0);
+        assert.strictEqual(cleanRanges(code, 'app.js', [range], 'overlapping').cleanCode, `run();\n`);
+        assert.strictEqual(cleanRanges(code, 'app.js', [range], 'unknown').removedCount, 0);
+    });
+
+    test('should select Python statements by their offsets', () => {
+        const code = `def f():\n    print(1)\n    print(2)\n`;
+
+        assert.strictEqual(
+            cleanRanges(code, 'tool.py', [rangeOf(code, 'print(2)', 'print(2)')]).cleanCode,
+            `def f():\n    print(1)\n`
+        );
+    });
+});
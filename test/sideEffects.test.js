@@ -0,0 +1,126 @@
+const assert = require('assert');
+const { DebugStatementParser } = require('../parser');
+const { CodeCleaner } = require('../cleaner');
+
+suite('Side Effect Tests', () => {
+    let parser;
+
+    setup(() => {
+        parser = new DebugStatementParser();
+    });
+
+    function clean(code, sideEffectHandling) {
+        const statements = parser.parseCode(code, 'test.js');
+        const cleaner = new CodeCleaner({ sideEffectHandling });
+        const result = cleaner.removeDebugStatements(code, statements);
+        return { result, report: cleaner.generateCleanupReport(code, result) };
+    }
+
+    suite('Detection', () => {
+        test('should flag assignments, updates, calls, await, yield and new', () => {
+            const code = [
+                `async function* run() {`,
+                `    console.log(a = 1);`,
+                `    console.log(counter++);`,
+                `    console.log(format(x));`,
+                `    console.log(await load());`,
+                `    console.log(yield value);`,
+                `    console.log(new Date());`,
+                `}`,
+                ``
+            ].join('\n');
+
+            const statements = parser.parseCode(code, 'test.js');
+
+            assert.deepStrictEqual(statements.map(s => s.sideEffects.map(effect => effect.text)), [
+                ['a = 1'], ['counter++'], ['format(x)'], ['await load()'], ['yield value'], ['new Date()']
+            ]);
+        });
+
+        test('should not flag plain reads or function arguments', () => {
+            const code = `console.log('x', user.name, items[0], \`\${a + b}\`, () => count++, function () { save(); });\n`;
+
+            const statements = parser.parseCode(code, 'test.js');
+
+            assert.strictEqual(statements[0].sideEffects, undefined);
+        });
+
+        test('should report only the arguments that have side effects', () => {
+            const statements = parser.parseCode(`console.log('total', total, next(), ...rest.splice(0));\n`, 'test.js');
+
+            assert.deepStrictEqual(statements[0].sideEffects.map(effect => effect.text), ['next()', 'rest.splice(0)']);
+        });
+
+        test('should not flag clock reads and formatting calls', () => {
+            const code = `console.log(util.inspect(x), JSON.stringify(user));\nconsole.log(performance.now() - t0);\nconsole.log(util.inspect(next()));\nrun();\n`;
+
+            const statements = parser.parseCode(code, 'test.js');
+            const { result } = clean(code);
+
+            assert.deepStrictEqual(statements.map(s => s.sideEffects?.map(effect => effect.text)), [undefined, undefined, ['util.inspect(next())']]);
+            assert.strictEqual(result.cleanCode, `console.log(util.inspect(next()));\nrun();\n`);
+        });
+    });
+
+    suite('Handling modes', () => {
+        const code = `function run() {\n    console.log('n', counter++);\n    console.log('done');\n}\n`;
+
+        test('should skip them by default', () => {
+            const { result, report } = clean(code);
+
+            assert.strictEqual(result.cleanCode, `function run() {\n    console.log('n', counter++);\n}\n`);
+            assert.strictEqual(report.skippedStatements[0].reason, 'Arguments have side effects: counter++');
+        });
+
+        test('should extract the side effects as statements', () => {
+            const { result } = clean(code, 'extract');
+
+            assert.strictEqual(result.cleanCode, `function run() {\n    counter++;\n}\n`);
+        });
+
+        test('should extract into bare bodies and arrow bodies', () => {
+            const { result } = clean(`if (ready) console.log(save());\nconst h = () => console.log(a, b.pop());\n`, 'extract');
+
+            assert.strictEqual(result.cleanCode, `if (ready) { save(); }\nconst h = () => { b.pop(); };\n`);
+        });
+
+        test('should skip when the position cannot hold extracted statements', () => {
+            const { result } = clean(`const v = ok ? console.log(next()) : 0;\n`, 'extract');
+
+            assert.strictEqual(result.removedCount, 0);
+            assert.strictEqual(result.skippedStatements.length, 1);
+        });
+
+        test('should remove them anyway when asked', () => {
+            const { result } = clean(code, 'remove');
+
+            assert.strictEqual(result.cleanCode, `function run() {\n}\n`);
+        });
+    });
+
+    suite('Preview and report', () => {
+        test('should list statements with side effects and how they were handled', () => {
+            const { report } = clean(`console.log(i++);\nconsole.log(1);\n`, 'extract');
+
+            assert.deepStrictEqual(report.sideEffectStatements, [{
+                line: 1,
+                type: 'console',
+                text: 'console.log(i++);',
+                sideEffects: ['i++'],
+                handling: 'extract'
+            }]);
+        });
+
+        test('should show the planned action in the preview', () => {
+            const code = `console.log(i++);\n`;
+            const statements = parser.parseCode(code, 'test.js');
+
+            const skipped = new CodeCleaner().previewChanges(code, statements);
+            const extracted = new CodeCleaner({ sideEffectHandling: 'extract' }).previewChanges(code, statements);
+
+            assert.strictEqual(skipped[0].action, 'Skip: Arguments have side effects: i++');
+            assert.strictEqual(extracted[0].action, 'Replace with i++;');
+            assert.deepStrictEqual(extracted[0].sideEffects, ['i++']);
+        });
+    });
+});
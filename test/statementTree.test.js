@@ -0,0 +1,99 @@
+const assert = require('assert');
+const path = require('path');
+const { DebugStatementParser } = require('../parser');
+const { analyzeFile } = require('../workspaceScan');
+const {
+    buildStatementTree,
+    findMatchingStatement,
+    getStatementRange,
+    summarizeStatement
+} = require('../statementTree');
+
+suite('Statement Tree Tests', () => {
+    const root = path.join(path.sep, 'repo');
+    const relativePath = filePath => path.relative(root, filePath);
+
+    function findings(files, config = {}) {
+        return new Map(Object.entries(files).map(([name, code]) => {
+            const filePath = path.join(root, name);
+            return [filePath, analyzeFile(code, filePath, config).findings];
+        }));
+    }
+
+    function describe(nodes) {
+        return nodes.map(node => node.children
+            ? { label: node.label, count: node.count, children: describe(node.children) }
+            : node.label);
+    }
+
+    test('should nest folders and group files by type with counts', () => {
+        const tree = buildStatementTree(findings({
+            [path.join('src', 'ui', 'b.js')]: `debugger;\nconsole.log(1);\nconsole.warn(2);\n`,
+            [path.join('src', 'a.js')]: `console.log(3);\n`,
+            'tool.py': `print(4)\n`,
+            'clean.js': `run();\n`
+        }), relativePath);
+
+        assert.deepStrictEqual(describe(tree), [
+            { label: 'src', count: 4, children: [
+                { label: 'ui', count: 3, children: [
+                    { label: 'b.js', count: 3, children: [
+                        { label: 'console', count: 2, children: ['console.log(1);', 'console.warn(2);'] },
+                        { label: 'debugger', count: 1, children: ['debugger;'] }
+                    ] }
+                ] },
+                { label: 'a.js', count: 1, children: [{ label: 'console', count: 1, children: ['console.log(3);'] }] }
+            ] },
+            { label: 'tool.py', count: 1, children: [{ label: 'print', count: 1, children: ['print(4)'] }] }
+        ]);
+    });
+
+    test('should list statements a cleanup leaves behind with their reason', () => {
+        const [folder] = buildStatementTree(findings({
+            [path.join('src', 'app.js')]: `console.log(1);\nconsole.log(i++);\nconsole.error(2);\n`
+        }), relativePath);
+        const [file] = folder.children;
+        const statements = file.children[0].children.map(node => node.statement);
+
+        assert.strictEqual(folder.count, 3);
+        assert.strictEqual(folder.skippedCount, 2);
+        assert.strictEqual(file.skippedCount, 2);
+        assert.deepStrictEqual(statements.map(statement => statement.skipReason), [
+            undefined,
+            'Arguments have side effects: i++',
+            'console statements are turned off in the settings'
+        ]);
+    });
+
+    test('should keep what the statement nodes need to act on their file', () => {
+        const [file] = buildStatementTree(findings({ 'app.js': `console.log({\n    a: 1\n});\n` }), relativePath);
+        const [type] = file.children;
+        const [statement] = type.children;
+
+        assert.strictEqual(file.filePath, path.join(root, 'app.js'));
+        assert.strictEqual(type.type, 'console');
+        assert.strictEqual(statement.label, 'console.log({');
+        assert.deepStrictEqual(getStatementRange(statement.statement), {
+            start: { line: 0, character: 0 },
+            end: { line: 2, character: 3 }
+        });
+    });
+
+    test('should compute single-line ranges from the column', () => {
+        const [statement] = new DebugStatementParser().parseCode(`if (x) {\n    console.log(x);\n}\n`, 'app.js');
+
+        assert.deepStrictEqual(getStatementRange(summarizeStatement(statement)), {
+            start: { line: 1, character: 4 },
+            end: { line: 1, character: 19 }
+        });
+    });
+
+    test('should find a statement again after the file was edited', () => {
+        const parser = new DebugStatementParser();
+        const [target] = parser.parseCode(`console.log(1);\nconsole.log(2);\n`, 'app.js').slice(1).map(summarizeStatement);
+        const edited = parser.parseCode(`run();\nrun();\nconsole.log(2);\nrun();\nrun();\nconsole.log(2);\n`, 'app.js');
+
+        assert.strictEqual(findMatchingStatement(edited, target).line, 3);
+        assert.strictEqual(findMatchingStatement(edited, { ...target, text: 'console.log(3);' }), null);
+    });
+});
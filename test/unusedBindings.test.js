@@ -0,0 +1,127 @@
+const assert = require('assert');
+const { DebugStatementParser } = require('../parser');
+const { CodeCleaner } = require('../cleaner');
+
+suite('Unused Binding Tests', () => {
+    function clean(code, config = {}, filePath = 'test.js') {
+        const settings = { removeUnusedBindings: true, ...config };
+        const parser = new DebugStatementParser(settings);
+        const statements = parser.parseCode(code, filePath);
+        const cleaner = new CodeCleaner(settings);
+        const result = cleaner.removeDebugStatements(code, statements, parser.bindingDeclarations);
+        return { result, report: cleaner.generateCleanupReport(code, result) };
+    }
+
+    suite('Removal', () => {
+        test('should remove a require only used by a removed log', () => {
+            const { result } = clean(`const util = require('util');\nconst x = load();\nconsole.log(util.inspect(x));\nsave(x);\n`);
+
+            assert.strictEqual(result.cleanCode, `const x = load();\nsave(x);\n`);
+        });
+
+        test('should remove imports and timers read only by removed statements', () => {
+            const code = [
+                `import debug from 'debug';`,
+                `function run() {`,
+                `    const t0 = performance.now();`,
+                `    work();`,
+                `    console.log('took', performance.now() - t0, debug);`,
+                `}`,
+                ``
+            ].join('\n');
+
+            const { result } = clean(code);
+
+            assert.strictEqual(result.cleanCode, `function run() {\n    work();\n}\n`);
+        });
+
+        test('should follow chains of declarations', () => {
+            const { result } = clean(`const util = require('util');\nconst inspect = util.inspect;\nconsole.log(inspect);\nrun();\n`);
+
+            assert.strictEqual(result.cleanCode, `run();\n`);
+        });
+
+        test('should rebuild partially used declarations', () => {
+            const code = `import React, { useState } from 'react';\nimport { format, parse } from 'date';\nconst a = 1, b = 2;\nconsole.log(React, format, b);\nuse(useState, parse, a);\n`;
+
+            const { result } = clean(code);
+
+            assert.strictEqual(
+                result.cleanCode,
+                `import { useState } from 'react';\nimport { parse } from 'date';\nconst a = 1;\nuse(useState, parse, a);\n`
+            );
+        });
+    });
+
+    suite('Kept declarations', () => {
+        test('should do nothing unless the setting is enabled', () => {
+            const code = `const util = require('util');\nconsole.log(util);\n`;
+
+            assert.strictEqual(clean(code, { removeUnusedBindings: false }).result.cleanCode, `const util = require('util');\n`);
+        });
+
+        test('should keep bindings that are still read, reassigned or exported', () => {
+            const code = [
+                `const used = require('a');`,
+                `let count = 0;`,
+                `count++;`,
+                `export const shared = 1;`,
+                `console.log(used, count, shared);`,
+                `use(used);`,
+                ``
+            ].join('\n');
+
+            const { result } = clean(code);
+
+            assert.strictEqual(result.cleanCode, `const used = require('a');\nlet count = 0;\ncount++;\nexport const shared = 1;\nuse(used);\n`);
+        });
+
+        test('should keep declarations that were already unused or have side effects', () => {
+            const code = `const idle = 1;\nconst saved = save();\nconsole.log(saved);\n`;
+
+            const { result } = clean(code);
+
+            assert.strictEqual(result.cleanCode, `const idle = 1;\nconst saved = save();\n`);
+        });
+
+        test('should keep names that are used by a shadowing variable', () => {
+            const code = `const value = require('v');\nfunction f(value) { return value; }\nconsole.log(value);\n`;
+
+            const { result } = clean(code);
+
+            assert.ok(result.cleanCode.startsWith(`const value = require('v');`));
+        });
+
+        test('should keep variables still read by extracted side effects', () => {
+            const code = `const store = require('store');\nconsole.log(store.next());\n`;
+
+            const { result } = clean(code, { sideEffectHandling: 'extract' });
+
+            assert.strictEqual(result.cleanCode, `const store = require('store');\nstore.next();\n`);
+        });
+
+        test('should keep imports used only as TypeScript types', () => {
+            const code = `import { User } from './user';\nconst u: User = load();\nconsole.log(User);\n`;
+
+            const { result } = clean(code, {}, 'test.ts');
+
+            assert.ok(result.cleanCode.includes(`import { User } from './user';`));
+        });
+    });
+
+    suite('Report', () => {
+        test('should list removed declarations separately from debug statements', () => {
+            const { result, report } = clean(`import debug from 'debug';\nconsole.log(debug);\n`);
+
+            assert.strictEqual(result.removedCount, 1);
+            assert.strictEqual(report.statementsByType.console.length, 1);
+            assert.strictEqual(report.unusedBindingCount, 1);
+            assert.deepStrictEqual(report.unusedBindings, [{
+                line: 1,
+                kind: 'import',
+                names: ['debug'],
+                text: `import debug from 'debug';`
+            }]);
+        });
+    });
+});
@@ -0,0 +1,138 @@
+const assert = require('assert');
+const { DebugStatementParser } = require('../parser');
+const { CodeCleaner } = require('../cleaner');
+
+suite('Cleanup Validation Tests', () => {
+    let parser;
+    let cleaner;
+
+    setup(() => {
+        parser = new DebugStatementParser();
+        cleaner = new CodeCleaner({ cleanWhitespace: false });
+    });
+
+    // Stands in for a detection bug that hands the cleaner a range it should not cut
+    function removeRange(code, type, start, end) {
+        const statement = parser.createStatement(code, type, start, end);
+        return cleaner.removeSelectedStatements(code, [statement]);
+    }
+
+    suite('JavaScript', () => {
+        test('should accept a cleanup that still parses', () => {
+            const code = `if (ready) console.log(1);\nrun();\n`;
+            const cleanResult = cleaner.removeDebugStatements(code, parser.parseCode(code, 'app.js'));
+
+            assert.strictEqual(parser.validateCleanup(code, cleanResult, 'app.js'), null);
+        });
+
+        test('should report the new error and the statement that caused it', () => {
+            const code = `const value = 1;\nconst x = (console.log(value));\n`;
+            const start = code.indexOf('console');
+            const cleanResult = removeRange(code, 'console', start, start + 'console.log(value)'.length);
+
+            const error = parser.validateCleanup(code, cleanResult, 'app.js');
+
+            assert.strictEqual(error.message, 'Unexpected token');
+            assert.strictEqual(error.line, 2);
+            assert.strictEqual(error.statement.line, 2);
+            assert.strictEqual(error.statement.text, 'console.log(value)');
+        });
+
+        test('should use the TypeScript configuration for .ts files', () => {
+            const code = `const n: number = 1;\nconsole.log(n);\n`;
+            const cleanResult = cleaner.removeDebugStatements(code, parser.parseCode(code, 'app.ts'));
+
+            assert.strictEqual(parser.validateCleanup(code, cleanResult, 'app.ts'), null);
+        });
+
+        test('should not blame the cleanup for errors the file already had', () => {
+            const code = `function broken( {\nconsole.log(1);\n`;
+            const cleanResult = cleaner.removeDebugStatements(code, parser.parseCode(code, 'app.js'));
+
+            assert.strictEqual(parser.validateCleanup(code, cleanResult, 'app.js'), null);
+        });
+
+        test('should describe the rollback for command line output', () => {
+            const code = `f((console.log(1)));\n`;
+            const cleanResult = removeRange(code, 'console', 3, 17);
+
+            const message = parser.describeValidationError(parser.validateCleanup(code, cleanResult, 'app.js'));
+
+            assert.strictEqual(message, 'cleanup rolled back, Unexpected token at 1:4 after removing line 1: console.log(1)');
+        });
+    });
+
+    suite('Python', () => {
+        test('should detect a block left without a body', () => {
+            const code = `def run():\n    print("x")\n`;
+            const cleanResult = removeRange(code, 'print', 15, 25);
+
+            const error = parser.validateCleanup(code, cleanResult, 'tool.py');
+
+            assert.strictEqual(error.message, 'Expected an indented block');
+            assert.strictEqual(error.statement.text, 'print("x")');
+        });
+
+        test('should accept the pass replacement', () => {
+            const code = `def run():\n    print("x")\n`;
+            const cleanResult = cleaner.removeDebugStatements(code, parser.parseCode(code, 'tool.py'));
+
+            assert.strictEqual(parser.validateCleanup(code, cleanResult, 'tool.py'), null);
+        });
+
+        test('should detect unbalanced brackets', () => {
+            const code = `value = compute(\n    1)\n`;
+            const cleanResult = removeRange(code, 'print', code.indexOf(')'), code.indexOf(')') + 1);
+
+            assert.strictEqual(parser.validateCleanup(code, cleanResult, 'tool.py').message, `Unclosed '('`);
+        });
+    });
+
+    suite('Java', () => {
+        test('should detect a control statement left without a body', () => {
+            const code = `class A {\n    void run() {\n        if (ready) System.out.println(1);\n    }\n}\n`;
+            const start = code.indexOf('System');
+            const cleanResult = removeRange(code, 'system.out', start, code.indexOf(';') + 1);
+
+            const error = parser.validateCleanup(code, cleanResult, 'A.java');
+
+            assert.strictEqual(error.message, 'Expected a statement');
+            assert.strictEqual(error.line, 3);
+        });
+
+        test('should detect statements left without a separator', () => {
+            const code = `class A {\n    void run() {\n        a(); System.out.println(x); b();\n    }\n}\n`;
+            const start = code.indexOf('; System');
+            const cleanResult = removeRange(code, 'system.out', start, code.indexOf(';', start + 1) + 1);
+
+            const error = parser.validateCleanup(code, cleanResult, 'A.java');
+
+            assert.ok(cleanResult.cleanCode.includes('a() b();'));
+            assert.strictEqual(error.message, `Expected ';'`);
+            assert.strictEqual(error.line, 3);
+        });
+
+        test('should detect a label left without a statement', () => {
+            const code = `class A {\n    void run() {\n        label: System.out.println(1);\n    }\n}\n`;
+            const cleanResult = cleaner.removeDebugStatements(code, parser.parseCode(code, 'A.java'));
+
+            const error = parser.validateCleanup(code, cleanResult, 'A.java');
+
+            assert.strictEqual(error.message, 'Expected a statement');
+            assert.strictEqual(error.line, 3);
+        });
+
+        test('should accept casts, annotations and declaration clauses', () => {
+            const code = `@Service("a") public class A implements B {\n    A() throws E {}\n    Object f(Object o) { return (String) o; }\n    void g() { outer: for (;;) { break outer; } }\n}\n`;
+
+            assert.strictEqual(parser.findSyntaxError(code, 'java'), null);
+        });
+
+        test('should accept the empty block replacement', () => {
+            const code = `class A {\n    void run() {\n        if (ready) System.out.println(1);\n    }\n}\n`;
+            const cleanResult = cleaner.removeDebugStatements(code, parser.parseCode(code, 'A.java'));
+
+            assert.strictEqual(parser.validateCleanup(code, cleanResult, 'A.java'), null);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScanCache, WorkspaceScanner, SCAN_CACHE_KEY } = require('../workspaceScan');
+const { createMemento } = require('./fixtures/helpers');
+
+suite('Workspace Scan Tests', function () {
+    // Starting a worker loads the parsers, which takes a moment on slow machines
+    this.timeout(20000);
+
+    let dir;
+    let storage;
+
+    function write(name, content) {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    }
+
+    function scan(filePaths, config = {}, options = {}) {
+        return new WorkspaceScanner(config, new ScanCache(storage), { maxWorkers: 2 }).scan(filePaths, options);
+    }
+
+    setup(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'debug-cleanup-scan-'));
+        storage = createMemento();
+    });
+
+    teardown(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should parse files from disk in workers', async () => {
+        const app = write('app.js', `console.log(1);\nrun();\n`);
+        const tool = write('tool.py', `def f():\n    print(1)  # cleanup-keep\n    return 1\n`);
+
+        const { results, cancelled } = await scan([app, tool]);
+        const byPath = new Map(results.map(result => [result.filePath, result]));
+
+        assert.strictEqual(cancelled, false);
+        assert.strictEqual(byPath.get(app).cleanResult.cleanCode, `run();\n`);
+        assert.strictEqual(byPath.get(app).text, `console.log(1);\nrun();\n`);
+        assert.strictEqual(byPath.get(tool).removedCount, 0);
+        assert.strictEqual(byPath.get(tool).suppressedCount, 1);
+    });
+
+    test('should read files without their byte order mark, as editors do', async () => {
+        const filePath = write('app.js', `\uFEFFconsole.log(1);\nrun();\n`);
+
+        const { results } = await scan([filePath]);
+
+        assert.strictEqual(results[0].text, `console.log(1);\nrun();\n`);
+        assert.strictEqual(results[0].cleanResult.cleanCode, `run();\n`);
+    });
+
+    test('should skip unchanged files on the next run', async () => {
+        const clean = write('clean.js', `run();\n`);
+        const dirty = write('dirty.js', `console.log(1);\n`);
+
+        await scan([clean, dirty]);
+        const { results } = await scan([clean, dirty]);
+
+        assert.deepStrictEqual(results.filter(result => result.fromCache).map(result => result.filePath), [clean]);
+        assert.deepStrictEqual(Object.keys(storage.get(SCAN_CACHE_KEY)), [clean]);
+    });
+
+    test('should keep the findings of cached files', async () => {
+        const filePath = write('app.js', `console.log(i++);\n`);
+
+        await scan([filePath]);
+        const { results } = await scan([filePath]);
+
+        assert.strictEqual(results[0].fromCache, true);
+        assert.deepStrictEqual(results[0].findings.map(finding => finding.skipReason), ['Arguments have side effects: i++']);
+    });
+
+    test('should compare content when only the mtime changed', async () => {
+        const filePath = write('app.js', `run();\n`);
+        await scan([filePath]);
+
+        const later = new Date(Date.now() + 60000);
+        fs.utimesSync(filePath, later, later);
+        const touched = await scan([filePath]);
+
+        fs.writeFileSync(filePath, `console.log(1);\n`);
+        const edited = await scan([filePath]);
+
+        assert.strictEqual(touched.results[0].fromCache, true);
+        assert.strictEqual(storage.get(SCAN_CACHE_KEY)[filePath], undefined);
+        assert.strictEqual(edited.results[0].removedCount, 1);
+    });
+
+    test('should rescan everything when the configuration changes', async () => {
+        const filePath = write('app.js', `console.warn(1);\n`);
+
+        await scan([filePath], { consoleMethods: { warn: false } });
+        const { results } = await scan([filePath], { consoleMethods: { warn: true } });
+
+        assert.strictEqual(results[0].fromCache, false);
+        assert.strictEqual(results[0].removedCount, 1);
+    });
+
+    test('should scan the text of open editors instead of the file', async () => {
+        const filePath = write('app.js', `run();\n`);
+
+        const { results } = await scan([filePath], {}, { openTexts: new Map([[filePath, `debugger;\nrun();\n`]]) });
+
+        assert.strictEqual(results[0].cleanResult.cleanCode, `run();\n`);
+    });
+
+    test('should report missing files and stop when cancelled', async () => {
+        const missing = path.join(dir, 'missing.js');
+        const files = [missing, ...Array.from({ length: 5 }, (_, i) => write(`f${i}.js`, `run();\n`))];
+        const token = { isCancellationRequested: false };
+
+        const failed = await scan([missing]);
+        const cancelled = await scan(files, {}, {
+            token,
+            onProgress: () => { token.isCancellationRequested = true; }
+        });
+
+        assert.strictEqual(failed.results[0].error.code, 'ENOENT');
+        assert.strictEqual(cancelled.cancelled, true);
+        assert.ok(cancelled.results.length < files.length);
+    });
+});
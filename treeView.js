@@ -0,0 +1,167 @@
+const vscode = require('vscode');
+const { ValidationHelper } = require('./errorHandler');
+const { getFilePattern, getExcludePattern } = require('./filePatterns');
+const { WorkspaceScanner, analyzeFile } = require('./workspaceScan');
+const { buildStatementTree, getStatementRange } = require('./statementTree');
+
+const STATEMENT_TREE_VIEW = 'debugCleanupPro.statements';
+
+class DebugStatementTreeProvider {
+    constructor(getConfiguration, scanCache) {
+        this.getConfiguration = getConfiguration;
+        this.scanCache = scanCache;
+        this.findings = new Map();
+        this.nodes = [];
+        this.scanned = false;
+        this.scanning = null;
+        this.onDidChangeTreeDataEmitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.onDidChangeTreeDataEmitter.event;
+        this.disposables = [];
+    }
+
+    activate() {
+        this.disposables.push(
+            vscode.workspace.onDidSaveTextDocument(document => this.refreshDocument(document)),
+            vscode.workspace.onDidDeleteFiles(event => {
+                event.files.forEach(uri => this.findings.delete(uri.fsPath));
+                this.update();
+            }),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (this.scanned && event.affectsConfiguration('debugCleanupPro')) {
+                    this.refreshAll();
+                }
+            })
+        );
+    }
+
+    refreshAll() {
+        if (!this.scanning) {
+            this.scanning = vscode.window.withProgress(
+                { location: { viewId: STATEMENT_TREE_VIEW } },
+                () => this.scanWorkspace()
+            ).finally(() => {
+                this.scanning = null;
+            });
+        }
+
+        return this.scanning;
+    }
+
+    async scanWorkspace() {
+        const config = this.getConfiguration();
+        const files = await vscode.workspace.findFiles(
+            getFilePattern(config.includeFileTypes),
+            getExcludePattern(config.excludePatterns)
+        );
+        const filePaths = files
+            .map(file => file.fsPath)
+            .filter(filePath => !ValidationHelper.shouldExcludeFile(filePath, config.excludePatterns));
+        const openTexts = new Map(vscode.workspace.textDocuments
+            .filter(document => document.uri.scheme === 'file')
+            .map(document => [document.uri.fsPath, document.getText()]));
+
+        const { results } = await new WorkspaceScanner(config, this.scanCache).scan(filePaths, { openTexts });
+
+        this.findings = new Map();
+        results
+            .filter(result => result.findings && result.findings.length > 0)
+            .forEach(result => this.findings.set(result.filePath, result.findings));
+
+        this.scanned = true;
+        this.update();
+    }
+
+    // A single file is parsed in the extension host; only the workspace scan needs the worker pool
+    refreshDocument(document) {
+        if (!this.scanned || document.uri.scheme !== 'file') {
+            return;
+        }
+
+        const config = this.getConfiguration();
+        const filePath = document.uri.fsPath;
+        const result = ValidationHelper.validateFileType(filePath, config.includeFileTypes) &&
+            !ValidationHelper.shouldExcludeFile(filePath, config.excludePatterns)
+            ? analyzeFile(document.getText(), filePath, config)
+            : {};
+
+        if (result.findings && result.findings.length > 0) {
+            this.findings.set(filePath, result.findings);
+        } else if (this.findings.has(filePath)) {
+            this.findings.delete(filePath);
+        } else {
+            return;
+        }
+
+        this.update();
+    }
+
+    update() {
+        this.nodes = buildStatementTree(this.findings, filePath => vscode.workspace.asRelativePath(filePath, false));
+        this.onDidChangeTreeDataEmitter.fire();
+    }
+
+    async getChildren(node) {
+        if (node) {
+            return node.children || [];
+        }
+
+        // The workspace is only scanned once the view is first shown
+        if (!this.scanned) {
+            await this.refreshAll();
+        }
+
+        return this.nodes;
+    }
+
+    getTreeItem(node) {
+        if (node.kind === 'statement') {
+            const { start, end } = getStatementRange(node.statement);
+            const { skipReason } = node.statement;
+            const item = new vscode.TreeItem(node.label, vscode.TreeItemCollapsibleState.None);
+            item.description = skipReason ? `line ${node.statement.line}, skipped` : `line ${node.statement.line}`;
+            item.tooltip = skipReason ? `${node.statement.text}\n\nNot removed: ${skipReason}` : node.statement.text;
+            // Skipped statements have no trash action, since a cleanup would leave them in place
+            item.contextValue = skipReason ? 'debugSkippedStatement' : 'debugStatement';
+            item.iconPath = new vscode.ThemeIcon(skipReason ? 'warning' : 'debug-console');
+            item.command = {
+                command: 'vscode.open',
+                title: 'Go to Debug Statement',
+                arguments: [
+                    vscode.Uri.file(node.filePath),
+                    { selection: new vscode.Range(start.line, start.character, end.line, end.character) }
+                ]
+            };
+            item.id = node.id;
+            return item;
+        }
+
+        const item = new vscode.TreeItem(
+            node.label,
+            node.kind === 'folder' ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed
+        );
+        item.description = node.skippedCount > 0 ? `${node.count} (${node.skippedCount} skipped)` : `${node.count}`;
+        item.id = node.id;
+        const removable = node.count > node.skippedCount;
+
+        if (node.kind === 'folder') {
+            item.iconPath = vscode.ThemeIcon.Folder;
+            item.contextValue = 'debugFolder';
+        } else if (node.kind === 'file') {
+            item.resourceUri = vscode.Uri.file(node.filePath);
+            item.iconPath = vscode.ThemeIcon.File;
+            item.contextValue = removable ? 'debugFile' : 'debugSkippedFile';
+        } else {
+            item.iconPath = new vscode.ThemeIcon('symbol-event');
+            item.contextValue = removable ? 'debugType' : 'debugSkippedType';
+        }
+
+        return item;
+    }
+
+    dispose() {
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.onDidChangeTreeDataEmitter.dispose();
+    }
+}
+
+module.exports = { DebugStatementTreeProvider, STATEMENT_TREE_VIEW };
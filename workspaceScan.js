@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { DebugStatementParser } = require('./parser');
+const { CodeCleaner } = require('./cleaner');
+const { summarizeStatement } = require('./statementTree');
+
+const SCAN_CACHE_KEY = 'debugCleanupPro.scanCache';
+// Bumped whenever cache entries change shape, so older entries are not reused
+const SCAN_CACHE_FORMAT = 2;
+const WORKER_SCRIPT = path.join(__dirname, 'scanWorker.js');
+const { version } = require('./package.json');
+
+function hashContent(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// A new extension version may detect different statements, so it invalidates the cache too
+function hashConfig(config) {
+    return hashContent(JSON.stringify({ version, format: SCAN_CACHE_FORMAT, config }));
+}
+
+// Runs in the workers, so everything it returns must survive structured cloning
+function analyzeFile(text, filePath, config) {
+    const parser = new DebugStatementParser(config);
+    let statements;
+
+    try {
+        statements = parser.parseCode(text, filePath);
+    } catch (parseError) {
+        try {
+            statements = parser.fallbackRegexParse(text);
+        } catch (fallbackError) {
+            return { error: { stage: 'parse', message: fallbackError.message } };
+        }
+    }
+
+    const cleaner = new CodeCleaner(config);
+    const enabled = cleaner.filterStatementsByConfig(statements);
+    const cleanResult = cleaner.removeSelectedStatements(text, enabled, parser.bindingDeclarations);
+
+    // Findings also cover what a cleanup leaves behind, for the Debug Statements view
+    const disabled = statements
+        .filter(statement => !enabled.includes(statement))
+        .map(statement => ({ ...statement, skipReason: `${statement.type} statements are turned off in the settings` }));
+    const findings = [...cleanResult.removedStatements, ...cleanResult.skippedStatements, ...disabled].map(summarizeStatement);
+
+    const result = { suppressedCount: parser.suppressedStatements.length, removedCount: 0, findings };
+    if (cleanResult.removedCount === 0) {
+        return result;
+    }
+
+    return {
+        ...result,
+        removedCount: cleanResult.removedCount,
+        cleanResult,
+        syntaxError: parser.validateCleanup(text, cleanResult, filePath)
+    };
+}
+
+class ScanCache {
+    constructor(storage) {
+        // storage is a vscode.Memento (workspaceState) or anything with the same get/update shape
+        this.storage = storage;
+        this.entries = { ...storage.get(SCAN_CACHE_KEY, {}) };
+    }
+
+    lookup(filePath, configHash, { mtime, hash }) {
+        const entry = this.entries[filePath];
+        if (!entry || entry.configHash !== configHash) {
+            return null;
+        }
+
+        return (mtime !== undefined && entry.mtime === mtime) || (hash !== undefined && entry.hash === hash)
+            ? entry
+            : null;
+    }
+
+    getHash(filePath, configHash) {
+        const entry = this.entries[filePath];
+        return entry && entry.configHash === configHash ? entry.hash : undefined;
+    }
+
+    set(filePath, entry) {
+        this.entries[filePath] = entry;
+    }
+
+    delete(filePath) {
+        delete this.entries[filePath];
+    }
+
+    async save() {
+        await this.storage.update(SCAN_CACHE_KEY, this.entries);
+    }
+
+    async clear() {
+        this.entries = {};
+        await this.storage.update(SCAN_CACHE_KEY, {});
+    }
+}
+
+class WorkspaceScanner {
+    constructor(config, cache, options = {}) {
+        this.config = config;
+        this.cache = cache;
+        this.configHash = hashConfig(config);
+        // The extension host keeps one core for itself
+        this.maxWorkers = options.maxWorkers || Math.max(1, os.cpus().length - 1);
+    }
+
+    // openTexts maps paths to the text of open editors, which may differ from the file on disk
+    async scan(filePaths, { openTexts = new Map(), token = null, onProgress = () => {} } = {}) {
+        const results = [];
+        const queue = [...filePaths];
+        const isCancelled = () => Boolean(token && token.isCancellationRequested);
+        const workerCount = Math.min(this.maxWorkers, queue.length);
+        let completed = 0;
+
+        const runWorker = async () => {
+            let worker = null;
+
+            try {
+                while (queue.length > 0 && !isCancelled()) {
+                    const filePath = queue.shift();
+                    const openText = openTexts.get(filePath);
+                    let result = await this.checkCache(filePath, openText);
+
+                    if (!result) {
+                        worker = worker || this.createWorker();
+                        result = await this.analyze(worker, filePath, openText);
+                        if (result.error && result.error.stage === 'worker') {
+                            worker = null;
+                        }
+                    }
+
+                    if (isCancelled()) {
+                        break;
+                    }
+
+                    results.push(result);
+                    completed++;
+                    onProgress(filePath, completed, filePaths.length);
+                }
+            } finally {
+                if (worker) {
+                    await worker.terminate();
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: workerCount }, runWorker));
+        await this.cache.save();
+
+        return { results, cancelled: isCancelled() };
+    }
+
+    async checkCache(filePath, openText) {
+        if (openText !== undefined) {
+            const hash = hashContent(openText);
+            const entry = this.cache.lookup(filePath, this.configHash, { hash });
+            return entry && this.fromCache(filePath, entry);
+        }
+
+        let stats;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (error) {
+            this.cache.delete(filePath);
+            return { filePath, error: { stage: 'file', message: error.message, code: error.code } };
+        }
+
+        const entry = this.cache.lookup(filePath, this.configHash, { mtime: stats.mtimeMs });
+        return entry && this.fromCache(filePath, entry);
+    }
+
+    fromCache(filePath, entry) {
+        return { filePath, fromCache: true, suppressedCount: entry.suppressedCount, removedCount: 0, findings: entry.findings };
+    }
+
+    createWorker() {
+        const worker = new Worker(WORKER_SCRIPT, { workerData: { config: this.config } });
+        // Errors are reported per file; this only keeps an unexpected crash from going unhandled
+        worker.on('error', () => {});
+        return worker;
+    }
+
+    analyze(worker, filePath, openText) {
+        const cachedHash = this.cache.getHash(filePath, this.configHash);
+
+        return new Promise(resolve => {
+            const finish = message => {
+                worker.off('message', finish);
+                worker.off('error', fail);
+                worker.off('exit', fail);
+                resolve(this.record(filePath, message));
+            };
+            const fail = error => finish({
+                error: { stage: 'worker', message: error instanceof Error ? error.message : `Worker exited with code ${error}` }
+            });
+
+            worker.on('message', finish);
+            worker.once('error', fail);
+            worker.once('exit', fail);
+            worker.postMessage({ filePath, text: openText, cachedHash });
+        });
+    }
+
+    record(filePath, message) {
+        const { mtime, hash, unchanged, result = {}, error } = message;
+
+        if (error || result.error) {
+            this.cache.delete(filePath);
+            return { filePath, error: error || result.error };
+        }
+
+        // Files the content hash matched were not parsed again; only their mtime is refreshed
+        if (unchanged) {
+            const entry = { ...this.cache.entries[filePath], mtime };
+            this.cache.set(filePath, entry);
+            return this.fromCache(filePath, entry);
+        }
+
+        // Only files with nothing to clean are cached; the others are expected to change
+        if (result.removedCount === 0) {
+            this.cache.set(filePath, {
+                mtime,
+                hash,
+                configHash: this.configHash,
+                suppressedCount: result.suppressedCount,
+                findings: result.findings
+            });
+        } else {
+            this.cache.delete(filePath);
+        }
+
+        return { filePath, fromCache: false, text: message.text, ...result };
+    }
+}
+
+module.exports = {
+    ScanCache,
+    WorkspaceScanner,
+    analyzeFile,
+    hashConfig,
+    hashContent,
+    SCAN_CACHE_KEY
+};